@@ -0,0 +1,76 @@
+/**
+ * Auto animation profiles
+ * Each character/model pair can have its own auto animation values (gaze, breathing, microsaccades, blinking, body movement)
+ * and use a named preset shared between models. Values missing from the model and its preset are the global ones.
+ */
+
+import { extension_settings } from '../../../extensions.js';
+
+export {
+    AUTO_ANIMATION_SETTINGS,
+    AUTO_ANIMATION_PROFILE_DEFAULT,
+    getAutoAnimationSetting,
+    getAutoAnimationSettings,
+};
+
+// Global settings a profile can change, autoAnimationsEnabled stays global
+const AUTO_ANIMATION_SETTINGS = [
+    'autoEyeCenterWeight',
+    'autoEyeAmplitudeCenter',
+    'autoEyeAmplitudePeripheral',
+    'autoEyeFixationMin',
+    'autoEyeFixationMax',
+    'autoBreathAmplitude',
+    'autoBreathSpeed',
+    'microsaccadesEnabled',
+    'microsaccadeAmplitude',
+    'microsaccadeFrequency',
+    'microsaccadeDuration',
+    'microsaccadeIntervalMin',
+    'microsaccadeIntervalMax',
+    'autoBlinkEnabled',
+    'autoBlinkRate',
+    'autoBlinkDoubleChance',
+    'autoBlinkCloseMs',
+    'autoBlinkOpenMs',
+    'autoBlinkCloseCurve',
+    'autoBlinkOpenCurve',
+    'autoBlinkTalkingMultiplier',
+    'autoBlinkOnGazeShift',
+    'bodyMovementEnabled',
+    'bodyMovementIdleIntensity',
+    'bodyMovementTalkingIntensity',
+    'bodyMovementImpulseChance',
+    'bodyMovementSmoothness',
+];
+
+// preset: name in autoAnimationPresets ('' for none), own_values: the model values are used, values: setting values of the model
+const AUTO_ANIMATION_PROFILE_DEFAULT = {
+    'preset': '',
+    'own_values': false,
+    'values': {},
+};
+
+/**
+ * Returns an auto animation setting of a character, from its model values, then its preset, then the global settings.
+ * @param {string} character Character name.
+ * @param {string} key One of AUTO_ANIMATION_SETTINGS.
+ * @param {string} [model_path] Model of the character, its mapped model by default.
+ * @returns {*} Setting value.
+ */
+function getAutoAnimationSetting(character, key, model_path = extension_settings.live2d.characterModelMapping[character]) {
+    const profile = extension_settings.live2d.characterModelsSettings[character]?.[model_path]?.['auto_animation_profile'];
+
+    if (profile?.['own_values'] && profile['values'][key] !== undefined)
+        return profile['values'][key];
+
+    return extension_settings.live2d.autoAnimationPresets[profile?.['preset']]?.[key] ?? extension_settings.live2d[key];
+}
+
+// Every auto animation setting of a character, see getAutoAnimationSetting
+function getAutoAnimationSettings(character, model_path = extension_settings.live2d.characterModelMapping[character]) {
+    const settings = {};
+    for (const key of AUTO_ANIMATION_SETTINGS)
+        settings[key] = getAutoAnimationSetting(character, key, model_path);
+    return settings;
+}
@@ -0,0 +1,138 @@
+/**
+ * Per character animation scheduler
+ * Every animation of a character goes through its queue with a priority (idle < classified < click < script).
+ * An animation of higher or equal priority interrupts the running one, a lower one waits for it to finish,
+ * idle animations are dropped when the character is busy. An animation looping until replaced gives its place
+ * to any other animation once looping.
+ */
+
+import { DEBUG_PREFIX } from './constants.js';
+
+export {
+    ANIMATION_PRIORITY,
+    enqueueAnimation,
+    isAnimationBusy,
+    isAnimationLooping,
+};
+
+const ANIMATION_PRIORITY = {
+    'idle': 0,
+    'classified': 1,
+    'click': 2,
+    'script': 3,
+};
+
+// Queue of each character: { current: job, pending: [job] }
+const animation_queues = {};
+
+/**
+ * Schedules an animation of a character.
+ * @param {string} character Character name.
+ * @param {number} priority One of ANIMATION_PRIORITY.
+ * @param {function(function(): boolean, function(): void): Promise<any>} run Starts the animation, resolves once it is finished.
+ * Receives a function telling if the animation was interrupted meanwhile, to stop before its next step,
+ * and a function to call when the animation loops until replaced, any other animation then interrupts it.
+ * @param {string} [name] Description shown in debug logs.
+ * @returns {Promise<string>} Resolves to 'done' when the animation finished, 'interrupted' when a higher or equal
+ * priority animation replaced it and 'dropped' when it never started.
+ */
+function enqueueAnimation(character, priority, run, name = '') {
+    if (animation_queues[character] === undefined)
+        animation_queues[character] = { 'current': undefined, 'pending': [] };
+
+    const queue = animation_queues[character];
+
+    return new Promise(resolve => {
+        const job = { 'priority': priority, 'run': run, 'name': name, 'resolve': resolve, 'looping': false };
+
+        if (queue.current === undefined) {
+            startJob(character, job);
+            return;
+        }
+
+        if (priority >= queue.current.priority || queue.current.looping) {
+            console.debug(DEBUG_PREFIX,'Animation',name,'of',character,'interrupts',queue.current.name);
+            queue.current.resolve('interrupted');
+            startJob(character, job);
+            return;
+        }
+
+        // Idle animations only matter now
+        if (priority == ANIMATION_PRIORITY.idle) {
+            console.debug(DEBUG_PREFIX,'Character',character,'is busy, idle animation',name,'dropped');
+            resolve('dropped');
+            return;
+        }
+
+        // Only the last classified animation is worth playing, clicks and scripts keep their order
+        if (priority == ANIMATION_PRIORITY.classified) {
+            for (const pending of queue.pending.filter(pending => pending.priority == priority))
+                pending.resolve('dropped');
+            queue.pending = queue.pending.filter(pending => pending.priority != priority);
+        }
+
+        console.debug(DEBUG_PREFIX,'Animation',name,'of',character,'waits for',queue.current.name);
+        queue.pending.push(job);
+    });
+}
+
+// True while an animation above idle priority runs or waits, the character is reacting. A looping animation is not a reaction.
+function isAnimationBusy(character) {
+    const queue = animation_queues[character];
+    if (queue === undefined)
+        return false;
+
+    return (queue.current !== undefined && queue.current.priority > ANIMATION_PRIORITY.idle && !queue.current.looping) || queue.pending.length > 0;
+}
+
+function isAnimationLooping(character) {
+    return animation_queues[character]?.current?.looping ?? false;
+}
+
+async function startJob(character, job) {
+    const queue = animation_queues[character];
+    queue.current = job;
+
+    // Animations waiting meanwhile replace it right away
+    const loop = () => {
+        if (queue.current !== job)
+            return;
+
+        job.looping = true;
+        if (queue.pending.length > 0) {
+            console.debug(DEBUG_PREFIX,'Looping animation',job.name,'of',character,'gives way to waiting animations');
+            job.resolve('interrupted');
+            startNextJob(character);
+        }
+    };
+
+    try {
+        await job.run(() => queue.current !== job, loop);
+    } catch (error) {
+        console.debug(DEBUG_PREFIX,'Animation',job.name,'of',character,'failed',error);
+    }
+
+    // Interrupted meanwhile, the queue moved on
+    if (queue.current !== job)
+        return;
+
+    job.resolve('done');
+    startNextJob(character);
+}
+
+function startNextJob(character) {
+    const queue = animation_queues[character];
+    queue.current = undefined;
+
+    if (queue.pending.length == 0)
+        return;
+
+    // Highest priority first, in order of arrival for equal priorities
+    let next = queue.pending[0];
+    for (const pending of queue.pending) {
+        if (pending.priority > next.priority)
+            next = pending;
+    }
+    queue.pending.splice(queue.pending.indexOf(next), 1);
+    startJob(character, next);
+}
@@ -0,0 +1,152 @@
+/**
+ * Frame-synced animation ticker
+ * Procedural animations of a model (breathing, gaze, microsaccades, body movement, blinking) are tasks updated
+ * by one listener per model, right after its motions are applied each frame, so expressions, physics and pose see them.
+ * Schedulers of the model (idle motions, emotion timeline, directives) run as tasks too, without writing parameters.
+ * Tasks get the time elapsed since the last frame and write parameters through the frame in a fixed order,
+ * the ticker applies the result once per parameter and takes its writes back when a task stops.
+ */
+
+import { DEBUG_PREFIX } from './constants.js';
+
+export {
+    TICKER_ORDER,
+    attachTicker,
+    detachTicker,
+    addTickerTask,
+    removeTickerTask,
+    hasTickerTask,
+};
+
+// Tasks run from the lowest order, later ones see the writes of earlier ones
+const TICKER_ORDER = {
+    'breathing': 0,
+    'eyeMovement': 1,
+    'microsaccades': 2,
+    'bodyMovement': 3,
+    'blinking': 4,
+    'idleMotions': 5,
+    'emotionTimeline': 6,
+    'directives': 7,
+};
+
+const MAX_FRAME_MS = 100; // Longer frames (hidden tab, stalls) are clamped so animations do not jump
+
+// Model, frame listener, tasks and parameters written on the last frame of each character
+const attached_models = {};
+
+function readParameter(core_model, id) {
+    return typeof core_model.getParameterValueById === 'function' ? core_model.getParameterValueById(id) : core_model.getParamFloat(id);
+}
+
+function writeParameter(core_model, id, value) {
+    if (typeof core_model.setParameterValueById === 'function')
+        core_model.setParameterValueById(id, value);
+    else
+        core_model.setParamFloat(id, value);
+}
+
+/**
+ * Value of a parameter before the tasks of this frame. Parameters no motion touched since the last frame still hold
+ * the last write of the ticker, they start again from the value they had before it so additive tasks do not pile up.
+ */
+function getBaseValue(attached, core_model, id) {
+    const current = readParameter(core_model, id);
+    const last = attached.written.get(id);
+    return last !== undefined && current === last.value ? last.base : current;
+}
+
+function tick(character) {
+    const attached = attached_models[character];
+    const core_model = attached?.model?.internalModel?.coreModel;
+    if (core_model === undefined)
+        return;
+
+    const now = performance.now();
+    const elapsed = Math.min(now - attached.last_update, MAX_FRAME_MS);
+    attached.last_update = now;
+
+    const bases = new Map();
+    const values = new Map();
+    const base = id => {
+        if (!bases.has(id))
+            bases.set(id, getBaseValue(attached, core_model, id));
+        return bases.get(id);
+    };
+    const frame = {
+        'elapsed': elapsed,
+        'get': id => values.has(id) ? values.get(id) : base(id),
+        'set': (id, value) => { base(id); values.set(id, value); },
+        'add': (id, value) => values.set(id, frame.get(id) + value),
+        'multiply': (id, value) => values.set(id, frame.get(id) * value),
+    };
+
+    for (const [name, task] of [...attached.tasks].sort(([a], [b]) => TICKER_ORDER[a] - TICKER_ORDER[b])) {
+        try {
+            if (task(frame) === false)
+                attached.tasks.delete(name);
+        } catch (error) {
+            console.debug(DEBUG_PREFIX, 'Error in', name, 'animation of', character, ', stopping it:', error);
+            attached.tasks.delete(name);
+        }
+    }
+
+    // Parameters no longer animated go back to their value before the ticker
+    for (const [id, last] of attached.written)
+        if (!values.has(id) && readParameter(core_model, id) === last.value)
+            writeParameter(core_model, id, last.base);
+
+    const written = new Map();
+    for (const [id, value] of values) {
+        writeParameter(core_model, id, value);
+        written.set(id, { 'base': bases.get(id), 'value': readParameter(core_model, id) });
+    }
+    attached.written = written;
+}
+
+/**
+ * Runs the animation tasks of a character on each frame of its model.
+ * @param {string} character Character name.
+ * @param {object} model Live2D model of the character.
+ */
+function attachTicker(character, model) {
+    detachTicker(character);
+
+    const listener = () => tick(character);
+    model.internalModel.on('afterMotionUpdate', listener);
+    attached_models[character] = { 'model': model, 'listener': listener, 'tasks': new Map(), 'written': new Map(), 'last_update': performance.now() };
+}
+
+function detachTicker(character) {
+    const attached = attached_models[character];
+    if (attached === undefined)
+        return;
+
+    attached.model.internalModel?.off('afterMotionUpdate', attached.listener);
+    delete attached_models[character];
+}
+
+/**
+ * Adds or replaces an animation task of a character.
+ * @param {string} character Character name.
+ * @param {string} name One of TICKER_ORDER.
+ * @param {function(object): (boolean|void)} task Called each frame with the frame: elapsed time in ms and get/set/add/multiply
+ * of parameter values, returns false to stop.
+ * @returns {boolean} False when no model ticker is attached to the character.
+ */
+function addTickerTask(character, name, task) {
+    const attached = attached_models[character];
+    if (attached === undefined)
+        return false;
+
+    attached.tasks.set(name, task);
+    return true;
+}
+
+function removeTickerTask(character, name) {
+    attached_models[character]?.tasks.delete(name);
+}
+
+function hasTickerTask(character, name) {
+    return attached_models[character]?.tasks.has(name) ?? false;
+}
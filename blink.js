@@ -0,0 +1,193 @@
+/**
+ * Natural auto-blink
+ * Blinks close and open the eye open parameters of a model at a random rate around the blinks per minute,
+ * sometimes twice in a row. The model's own eye blink is turned off while it runs, the animation ticker updates the eyes.
+ */
+
+import { DEBUG_PREFIX } from './constants.js';
+import { getAutoAnimationSettings } from './animationProfiles.js';
+
+export {
+    BLINK_CURVES,
+    findEyeOpenParameters,
+    getBlinkOpenness,
+    getBlinkInterval,
+    startBlink,
+    timeSinceLastBlink,
+    updateBlink,
+    attachBlinking,
+    detachBlinking,
+};
+
+// Progress of the eyelids from 0 to 1 during the closing or opening time
+const BLINK_CURVES = {
+    'linear': t => t,
+    'ease_in': t => t * t,
+    'ease_out': t => 1 - (1 - t) * (1 - t),
+    'ease_in_out': t => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2,
+};
+
+const BLINK_CLOSED_MS = 40; // Eyes stay shut between closing and opening
+const BLINK_INTERVAL_JITTER = 0.6; // Intervals vary from 40% to 160% of the mean interval
+
+// Eye open parameters tried when the model does not list them in an EyeBlink group
+const EYE_OPEN_PARAMETERS = [
+    ['ParamEyeLOpen', 'ParamEyeROpen'],
+    ['PARAM_EYE_L_OPEN', 'PARAM_EYE_R_OPEN'],
+];
+
+// Model, eye parameters, running blink and model eye blink of each character
+const attached_models = {};
+
+/**
+ * Finds the left and right eye open parameters of a model.
+ * @param {string[]} ids Parameter ids of the model, empty for Cubism 2 models.
+ * @param {string[]} [blink_ids] Ids of the EyeBlink group of the model settings.
+ * @returns {{left: string, right: string}|undefined} Parameter ids, undefined when the model has none.
+ */
+function findEyeOpenParameters(ids, blink_ids = []) {
+    if (blink_ids.length > 0) {
+        const left = blink_ids.find(id => /l(eft)?_?open|open_?l/i.test(id)) ?? blink_ids[0];
+        const right = blink_ids.find(id => id !== left && /r(ight)?_?open|open_?r/i.test(id)) ?? blink_ids[1] ?? left;
+        return { 'left': left, 'right': right };
+    }
+
+    // Cubism 2 core models do not expose their parameter ids
+    if (ids.length === 0)
+        return { 'left': EYE_OPEN_PARAMETERS[1][0], 'right': EYE_OPEN_PARAMETERS[1][1] };
+
+    for (const [left, right] of EYE_OPEN_PARAMETERS)
+        if (ids.includes(left) && ids.includes(right))
+            return { 'left': left, 'right': right };
+
+    const left = ids.find(id => /eye.?l.?open/i.test(id));
+    const right = ids.find(id => /eye.?r.?open/i.test(id));
+    if (left === undefined && right === undefined)
+        return undefined;
+
+    return { 'left': left ?? right, 'right': right ?? left };
+}
+
+/**
+ * Returns how open the eyes are during a blink.
+ * @param {object} blink Blink from startBlink.
+ * @param {number} now Current time in ms.
+ * @returns {number|undefined} Openness from 0 (shut) to 1 (open), undefined once the blink is over.
+ */
+function getBlinkOpenness(blink, now) {
+    const close_ms = Math.max(1, blink['close_ms']);
+    const open_ms = Math.max(1, blink['open_ms']);
+    const cycle = close_ms + BLINK_CLOSED_MS + open_ms;
+    const elapsed = now - blink['start'];
+
+    if (elapsed < 0 || elapsed >= cycle * blink['count'])
+        return undefined;
+
+    const time = elapsed % cycle;
+    if (time < close_ms)
+        return 1 - (BLINK_CURVES[blink['close_curve']] ?? BLINK_CURVES['linear'])(time / close_ms);
+    if (time < close_ms + BLINK_CLOSED_MS)
+        return 0;
+    return (BLINK_CURVES[blink['open_curve']] ?? BLINK_CURVES['linear'])((time - close_ms - BLINK_CLOSED_MS) / open_ms);
+}
+
+/**
+ * Returns a random delay before the next blink.
+ * @param {number} rate Blinks per minute.
+ * @returns {number} Delay in ms.
+ */
+function getBlinkInterval(rate) {
+    const mean = 60000 / Math.max(rate, 1);
+    return mean * (1 + BLINK_INTERVAL_JITTER * (2 * Math.random() - 1));
+}
+
+/**
+ * Starts a blink of a character with the blink settings, a double blink by chance.
+ * @param {string} character Character name.
+ * @returns {boolean} False when blinking is not attached to the character or a blink is already running.
+ */
+function startBlink(character) {
+    const attached = attached_models[character];
+    if (attached === undefined || attached.blink !== undefined)
+        return false;
+
+    const settings = getAutoAnimationSettings(character);
+    attached.blink = {
+        'start': Date.now(),
+        'close_ms': settings.autoBlinkCloseMs,
+        'open_ms': settings.autoBlinkOpenMs,
+        'close_curve': settings.autoBlinkCloseCurve,
+        'open_curve': settings.autoBlinkOpenCurve,
+        'count': Math.random() < settings.autoBlinkDoubleChance ? 2 : 1,
+    };
+    attached.last_blink = attached.blink['start'];
+    return true;
+}
+
+// Infinity when the character never blinked
+function timeSinceLastBlink(character) {
+    const last_blink = attached_models[character]?.last_blink;
+    return last_blink === undefined ? Infinity : Date.now() - last_blink;
+}
+
+/**
+ * Closes the eyes of a character by the running blink.
+ * @param {string} character Character name.
+ * @param {object} frame Animation ticker frame.
+ */
+function updateBlink(character, frame) {
+    const attached = attached_models[character];
+    if (attached?.blink === undefined)
+        return;
+
+    const openness = getBlinkOpenness(attached.blink, Date.now());
+    if (openness === undefined) {
+        delete attached.blink;
+        return;
+    }
+
+    // Scales the eyes left by motions, so closed eyes stay closed
+    for (const id of new Set([attached.eyes['left'], attached.eyes['right']]))
+        frame.multiply(id, openness);
+}
+
+/**
+ * Finds the eyes of the model of a character and turns off the model eye blink.
+ * @param {string} character Character name.
+ * @param {object} model Live2D model of the character.
+ * @returns {boolean} False when no eye open parameter was found.
+ */
+function attachBlinking(character, model) {
+    detachBlinking(character);
+
+    const internal_model = model.internalModel;
+    const ids = internal_model.coreModel._model?.parameters?.ids ?? [];
+    const blink_ids = internal_model.settings?.json?.Groups?.find(group => group.Name === 'EyeBlink')?.Ids ?? [];
+    const eyes = findEyeOpenParameters(ids, blink_ids);
+
+    if (eyes === undefined) {
+        console.debug(DEBUG_PREFIX, 'No eye open parameter found, not blinking', character);
+        return false;
+    }
+
+    attached_models[character] = { 'model': model, 'eyes': eyes, 'eye_blink': internal_model.eyeBlink };
+    internal_model.eyeBlink = undefined;
+
+    console.debug(DEBUG_PREFIX, 'Blinking', character, 'with eye parameters', eyes);
+    return true;
+}
+
+/**
+ * Stops the blinks of a character and gives the model its own eye blink back.
+ * @param {string} character Character name.
+ * @param {object} [model] Only detach this model, a newer model of the character is left alone.
+ */
+function detachBlinking(character, model = undefined) {
+    const attached = attached_models[character];
+    if (attached === undefined || (model !== undefined && attached.model !== model))
+        return;
+
+    if (attached.model.internalModel)
+        attached.model.internalModel.eyeBlink = attached.eye_blink;
+    delete attached_models[character];
+}
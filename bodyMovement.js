@@ -2,16 +2,21 @@
  * Advanced body movement system for Live2D characters
  * Creates natural, lifelike body movements with multiple noise layers,
  * physics simulation, and state-based behavior
+ * Runs as a task of the animation ticker, its math is scaled by the frame time so it moves the same at any frame rate.
  */
 
 import { extension_settings } from '../../../extensions.js';
-import { DEBUG_PREFIX, delay } from './constants.js';
+import { DEBUG_PREFIX } from './constants.js';
+import { getMoodModifiers } from './mood.js';
+import { getAutoAnimationSetting } from './animationProfiles.js';
+import { addTickerTask, removeTickerTask, hasTickerTask } from './animationTicker.js';
 
 export {
     startBodyMovement,
     stopBodyMovement,
     restartBodyMovement,
-    cleanupBodyMovement
+    cleanupBodyMovement,
+    notifyMouthActivity
 };
 
 // Хранилище для состояний движения каждого персонажа
@@ -19,14 +24,12 @@ const bodyMovementStates = {};
 
 // Константы системы
 const IDLE_THRESHOLD_MS = 500; // Время без движения рта для перехода в idle
-const UPDATE_INTERVAL_MS = 50; // Базовый интервал обновления (20 FPS)
-const MICRO_UPDATE_INTERVAL_MS = 100; // Интервал для микродвижений (10 FPS)
+const STEP_MS = 50; // The noise, impulse and spring constants below are per step of 50 ms, frames count as fractions of steps
 
 // Структура для хранения состояния движения персонажа
 class BodyMovementState {
     constructor(character) {
         this.character = character;
-        this.isRunning = false;
         this.currentState = 'idle'; // 'idle' или 'talking'
         this.lastMouthActivity = Date.now();
         
@@ -84,12 +87,12 @@ function smoothNoise(phase, frequency, amplitude) {
 }
 
 // Функция для генерации импульса
-function generateImpulse(state, paramKey) {
+function generateImpulse(state, paramKey, steps) {
     const now = Date.now();
     const timeSinceLastImpulse = now - state.lastImpulseTime[paramKey];
     
     // Получаем настройку частоты импульсов из UI
-    const impulseFrequency = extension_settings.live2d.bodyMovementImpulseChance || 2;
+    const impulseFrequency = getAutoAnimationSetting(state.character, 'bodyMovementImpulseChance') || 2;
     const baseChance = impulseFrequency / 100; // Преобразуем проценты в вероятность
     
     // Настройки импульсов в зависимости от состояния
@@ -107,8 +110,8 @@ function generateImpulse(state, paramKey) {
         decayRate: 0.95 // Медленное затухание
     };
     
-    // Проверяем, можем ли генерировать новый импульс
-    if (timeSinceLastImpulse > impulseConfig.minInterval && Math.random() < impulseConfig.chance) {
+    // Проверяем, можем ли генерировать новый импульс (шанс за шаг, пересчитанный на длительность кадра)
+    if (timeSinceLastImpulse > impulseConfig.minInterval && Math.random() < 1 - Math.pow(1 - impulseConfig.chance, steps)) {
         const amplitude = impulseConfig.amplitudeMin + Math.random() * (impulseConfig.amplitudeMax - impulseConfig.amplitudeMin);
         const direction = Math.random() > 0.5 ? 1 : -1;
         
@@ -122,9 +125,9 @@ function generateImpulse(state, paramKey) {
 }
 
 // Функция для обновления импульса
-function updateImpulse(impulse) {
+function updateImpulse(impulse, steps) {
     if (impulse.active) {
-        impulse.value *= impulse.decay;
+        impulse.value *= Math.pow(impulse.decay, steps);
         if (Math.abs(impulse.value) < 0.01) {
             impulse.active = false;
             impulse.value = 0;
@@ -140,22 +143,22 @@ function calculateCorrelation(baseValue, correlationFactor) {
 }
 
 // Основная функция обновления движений тела
-async function updateBodyMovement(character, model, settings) {
+function updateBodyMovement(character, settings, frame) {
     const state = bodyMovementStates[character];
-    if (!state || !state.isRunning) return;
+    if (!state) return false;
     
     // Проверяем, включена ли система движения тела
-    if (!extension_settings.live2d.bodyMovementEnabled) return;
+    if (!getAutoAnimationSetting(character, 'bodyMovementEnabled')) return;
     
-    const time = Date.now() / 1000;
+    const steps = frame.elapsed / STEP_MS;
     
     // Получаем настройки интенсивности из UI
-    const idleIntensity = extension_settings.live2d.bodyMovementIdleIntensity || 0.3;
-    const talkingIntensity = extension_settings.live2d.bodyMovementTalkingIntensity || 0.6;
-    const smoothness = extension_settings.live2d.bodyMovementSmoothness || 0.85;
+    const idleIntensity = getAutoAnimationSetting(character, 'bodyMovementIdleIntensity') || 0.3;
+    const talkingIntensity = getAutoAnimationSetting(character, 'bodyMovementTalkingIntensity') || 0.6;
+    const smoothness = getAutoAnimationSetting(character, 'bodyMovementSmoothness') || 0.85;
     
     // Определяем веса для разных состояний
-    const intensity = state.currentState === 'talking' ? talkingIntensity : idleIntensity;
+    const intensity = (state.currentState === 'talking' ? talkingIntensity : idleIntensity) * getMoodModifiers(character)['body_intensity'];
     
     const stateWeights = state.currentState === 'talking' ? {
         slowNoise: 0.3 * intensity,
@@ -174,17 +177,17 @@ async function updateBodyMovement(character, model, settings) {
     };
     
     // Обновляем фазы шумов
-    state.noisePhases.slow.param1 += 0.01;
-    state.noisePhases.slow.param2 += 0.011;
-    state.noisePhases.slow.param3 += 0.009;
+    state.noisePhases.slow.param1 += 0.01 * steps;
+    state.noisePhases.slow.param2 += 0.011 * steps;
+    state.noisePhases.slow.param3 += 0.009 * steps;
     
-    state.noisePhases.medium.param1 += 0.05;
-    state.noisePhases.medium.param2 += 0.048;
-    state.noisePhases.medium.param3 += 0.052;
+    state.noisePhases.medium.param1 += 0.05 * steps;
+    state.noisePhases.medium.param2 += 0.048 * steps;
+    state.noisePhases.medium.param3 += 0.052 * steps;
     
-    state.noisePhases.fast.param1 += 0.2;
-    state.noisePhases.fast.param2 += 0.18;
-    state.noisePhases.fast.param3 += 0.22;
+    state.noisePhases.fast.param1 += 0.2 * steps;
+    state.noisePhases.fast.param2 += 0.18 * steps;
+    state.noisePhases.fast.param3 += 0.22 * steps;
     
     // Обрабатываем каждый параметр
     const params = ['param1', 'param2', 'param3'];
@@ -203,8 +206,8 @@ async function updateBodyMovement(character, model, settings) {
         if (!paramSettings.paramId || paramSettings.paramId === '') continue;
         
         // Генерируем импульсы
-        generateImpulse(state, paramKey);
-        updateImpulse(state.impulses[paramKey]);
+        generateImpulse(state, paramKey, steps);
+        updateImpulse(state.impulses[paramKey], steps);
         
         // Рассчитываем многослойный шум
         const slowNoise = smoothNoise(state.noisePhases.slow[paramKey], 1, 1) * stateWeights.slowNoise;
@@ -233,26 +236,14 @@ async function updateBodyMovement(character, model, settings) {
         
         // Физическая симуляция (пружина + демпфер)
         const springForce = (state.targetValues[paramKey] - state.currentValues[paramKey]) * stateWeights.springStiffness;
-        state.velocities[paramKey] = state.velocities[paramKey] * stateWeights.damping + springForce;
-        state.currentValues[paramKey] += state.velocities[paramKey];
+        state.velocities[paramKey] = state.velocities[paramKey] * Math.pow(stateWeights.damping, steps) + springForce * steps;
+        state.currentValues[paramKey] += state.velocities[paramKey] * steps;
         
         // Преобразуем в диапазон параметра
         const normalizedValue = (state.currentValues[paramKey] + 1) / 2; // От (-1,1) к (0,1)
         const finalValue = paramSettings.minValue + normalizedValue * (paramSettings.maxValue - paramSettings.minValue);
         
-        // БАГ 8 FIX: Безопасная проверка и применение параметра
-        try {
-            if (model?.internalModel?.coreModel) {
-                model.internalModel.coreModel.setParameterValueById(paramSettings.paramId, finalValue);
-            } else {
-                // Модель уничтожена во время выполнения - прерываем обновление
-                console.debug(DEBUG_PREFIX, `Model destroyed during update for ${character}`);
-                state.isRunning = false;
-                return;
-            }
-        } catch (error) {
-            console.debug(DEBUG_PREFIX, `Error setting body parameter ${paramSettings.paramId}:`, error);
-        }
+        frame.set(paramSettings.paramId, finalValue);
     }
 }
 
@@ -278,48 +269,6 @@ function updateMovementState(character, isMouthMoving) {
     }
 }
 
-// Основной цикл движения тела
-async function bodyMovementLoop(character, model, model_path) {
-    const state = bodyMovementStates[character];
-    if (!state) return;
-    
-    state.isRunning = true;
-    console.debug(DEBUG_PREFIX, `Starting body movement for ${character}`);
-    
-    // Получаем настройки персонажа
-    const settings = extension_settings.live2d.characterModelsSettings[character]?.[model_path];
-    if (!settings?.mouth_linked_params) {
-        console.debug(DEBUG_PREFIX, `No mouth linked params found for ${character}`);
-        state.isRunning = false;
-        return;
-    }
-    
-    // Основной цикл
-    while (state.isRunning) {
-        // БАГ 8 FIX: Проверяем, что модель всё ещё существует
-        if (!model?.internalModel?.coreModel) {
-            console.debug(DEBUG_PREFIX, `Model destroyed, stopping body movement for ${character}`);
-            state.isRunning = false;
-            break;
-        }
-        
-        // Обновляем движения
-        try {
-            await updateBodyMovement(character, model, settings);
-        } catch (error) {
-            console.debug(DEBUG_PREFIX, `Error in body movement update for ${character}:`, error);
-            state.isRunning = false;
-            break;
-        }
-        
-        // Ждём перед следующим обновлением
-        await delay(UPDATE_INTERVAL_MS);
-    }
-    
-    state.isRunning = false;
-    console.debug(DEBUG_PREFIX, `Body movement stopped for ${character}`);
-}
-
 // Экспортируемые функции
 
 async function startBodyMovement(character, model, model_path) {
@@ -328,63 +277,43 @@ async function startBodyMovement(character, model, model_path) {
         bodyMovementStates[character] = new BodyMovementState(character);
     }
     
-    const state = bodyMovementStates[character];
-    
-    // БАГ 2 FIX: Проверяем, что цикл не запущен
-    if (state.isRunning) {
+    // БАГ 2 FIX: Проверяем, что движение не запущено
+    if (hasTickerTask(character, 'bodyMovement')) {
         console.debug(DEBUG_PREFIX, `Body movement already running for ${character}`);
         return;
     }
     
-    // БАГ 2 FIX: Запускаем цикл без await (фоновый процесс)
-    bodyMovementLoop(character, model, model_path).catch(error => {
-        console.debug(DEBUG_PREFIX, `Body movement loop error for ${character}:`, error);
-        state.isRunning = false;
-    });
+    // Получаем настройки персонажа
+    const settings = extension_settings.live2d.characterModelsSettings[character]?.[model_path];
+    if (!settings?.mouth_linked_params) {
+        console.debug(DEBUG_PREFIX, `No mouth linked params found for ${character}`);
+        return;
+    }
+    
+    console.debug(DEBUG_PREFIX, `Starting body movement for ${character}`);
+    addTickerTask(character, 'bodyMovement', (frame) => updateBodyMovement(character, settings, frame));
 }
 
 async function stopBodyMovement(character) {
-    const state = bodyMovementStates[character];
-    if (!state) return;
-    
     console.debug(DEBUG_PREFIX, `Stopping body movement for ${character}`);
-    state.isRunning = false;
-    
-    // БАГ 6 FIX: Ждем подтверждения остановки с таймаутом
-    const maxWaitTime = UPDATE_INTERVAL_MS * 10; // Максимум 500мс ожидания
-    const startWait = Date.now();
-    
-    while (state.isRunning && (Date.now() - startWait) < maxWaitTime) {
-        await delay(UPDATE_INTERVAL_MS);
-    }
-    
-    if (state.isRunning) {
-        console.debug(DEBUG_PREFIX, `Force stopped body movement for ${character} (timeout)`);
-        state.isRunning = false;
-    }
+    removeTickerTask(character, 'bodyMovement');
 }
 
 async function restartBodyMovement(character, model, model_path) {
-    // БАГ 2 & 6 FIX: Гарантируем полную остановку перед перезапуском
     await stopBodyMovement(character);
-    
-    // Дополнительная задержка для гарантии очистки
-    await delay(UPDATE_INTERVAL_MS);
-    
-    // Перезапускаем систему
     await startBodyMovement(character, model, model_path);
 }
 
 // БАГ 4 FIX: Функция очистки состояния персонажа
-export function cleanupBodyMovement(character) {
+function cleanupBodyMovement(character) {
+    removeTickerTask(character, 'bodyMovement');
     if (bodyMovementStates[character]) {
-        bodyMovementStates[character].isRunning = false;
         delete bodyMovementStates[character];
         console.debug(DEBUG_PREFIX, `Cleaned up body movement state for ${character}`);
     }
 }
 
 // Экспортируем функцию для обновления состояния из playTalk
-export function notifyMouthActivity(character, isActive) {
+function notifyMouthActivity(character, isActive) {
     updateMovementState(character, isActive);
 }
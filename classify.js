@@ -0,0 +1,305 @@
+/**
+ * Emotion classification of messages
+ * Sends the text to the classifier selected in the expressions extension (local, extras or LLM),
+ * caches the results in the chat metadata and selects the emotions to play from the model label set.
+ */
+
+import { trimToEndSentence, trimToStartSentence, getStringHash } from '../../../utils.js';
+import { getRequestHeaders, generateRaw } from '../../../../script.js';
+import { getContext, extension_settings, getApiUrl, doExtrasFetch, modules, saveMetadataDebounced } from '../../../extensions.js';
+
+import {
+    DEBUG_PREFIX,
+    FALLBACK_EXPRESSION,
+} from './constants.js';
+
+export {
+    EXPRESSION_API,
+    classifyEmotions,
+    getExpressionClassification,
+    parseLlmClassification,
+};
+
+const EXPRESSION_API = {
+    local: 0,
+    extras: 1,
+    llm: 2,
+};
+
+const LLM_RESPONSE_LENGTH = 50; // tokens
+
+// Classification results of the chat, stored in its metadata by hash of the classified text.
+// Keys are prefixed so they are not integer-like, objects keep such keys in insertion order.
+const CLASSIFY_CACHE_KEY = 'live2d_classification_cache';
+const CLASSIFY_CACHE_SIZE = 500;
+
+// LLM requests are sent one at a time, the backend may not accept parallel generations
+let llm_queue = Promise.resolve();
+
+/**
+ * Classifies the emotions of a text and keeps the ones to play: the emotionBlendCount best labels
+ * of the model label set scoring at least emotionMinConfidence. None are kept when the best score is under the threshold.
+ * @param {string} text Text to classify.
+ * @param {string[]} labels Emotion labels of the model, other labels are ignored.
+ * @returns {Promise<{label: string, score: number}[]>} Selected emotions, strongest first.
+ */
+async function classifyEmotions(text, labels) {
+    const blend_count = extension_settings.live2d.emotionBlendCount ?? 1;
+    const min_confidence = extension_settings.live2d.emotionMinConfidence ?? 0;
+
+    const classification = await getExpressionClassification(text, labels);
+    const emotions = classification.filter(emotion => labels.includes(emotion.label)).sort((a, b) => b.score - a.score);
+
+    if (emotions.length == 0 || emotions[0].score < min_confidence) {
+        console.debug(DEBUG_PREFIX,'Classification confidence too low, using default animation:',emotions[0]);
+        return [];
+    }
+
+    return emotions.slice(0, blend_count).filter(emotion => emotion.score >= min_confidence);
+}
+
+/**
+ * Classifies the emotions of a text with the API selected in the expressions extension.
+ * Results are cached in the chat metadata, a text already classified is not sent again.
+ * @param {string} text Text to classify.
+ * @param {string[]} labels Emotion labels of the model, candidates of LLM classification.
+ * @returns {Promise<{label: string, score: number}[]>} Labels with their score, the fallback expression when classification is not possible.
+ */
+async function getExpressionClassification(text, labels) {
+    const fallback = [{ 'label': FALLBACK_EXPRESSION, 'score': 1 }];
+    const api = extension_settings.expressions?.api ?? EXPRESSION_API.local;
+
+    // Return if text is undefined, saving a costly fetch request
+    if ((!modules.includes('classify') && api === EXPRESSION_API.extras) || !text) {
+        return fallback;
+    }
+
+    text = sampleClassifyText(text);
+
+    // LLM answers depend on the allowed labels and the number of labels asked
+    const llm_options = api === EXPRESSION_API.llm ? `${labels.join(',')}|${extension_settings.live2d.emotionBlendCount ?? 1}` : '';
+    const hash = `h${getStringHash(`${api}|${llm_options}|${text}`)}`;
+    const cache = getClassifyCache();
+
+    if (cache?.[hash] !== undefined) {
+        console.debug(DEBUG_PREFIX,'Classification found in cache:',cache[hash]);
+        return cache[hash];
+    }
+
+    let classification;
+    try {
+        classification = await requestClassification(api, text, labels);
+    } catch (error) {
+        // LLM endpoint or backend failure: the local classifier answers, uncached so the LLM is asked again next time
+        console.debug(DEBUG_PREFIX,'LLM classification failed, using the local classifier:',error);
+        return await requestClassification(EXPRESSION_API.local, text, labels) ?? fallback;
+    }
+
+    if (classification === undefined)
+        return fallback;
+
+    if (cache !== undefined) {
+        cache[hash] = classification;
+
+        // Forget the oldest results
+        const hashes = Object.keys(cache);
+        for (const old_hash of hashes.slice(0, Math.max(0, hashes.length - CLASSIFY_CACHE_SIZE)))
+            delete cache[old_hash];
+
+        saveMetadataDebounced();
+    }
+
+    return classification;
+}
+
+// Classification cache of the current chat, undefined without chat
+function getClassifyCache() {
+    const metadata = getContext().chatMetadata;
+    if (metadata === undefined)
+        return undefined;
+
+    if (metadata[CLASSIFY_CACHE_KEY] === undefined)
+        metadata[CLASSIFY_CACHE_KEY] = {};
+
+    return metadata[CLASSIFY_CACHE_KEY];
+}
+
+/**
+ * Sends a text to the classification API.
+ * @param {number} api Classification API, one of EXPRESSION_API.
+ * @param {string} text Sampled text to classify.
+ * @param {string[]} labels Emotion labels of the model, candidates of LLM classification.
+ * @returns {Promise<{label: string, score: number}[]|undefined>} Labels with their score, undefined if classification failed.
+ * @throws {Error} If the LLM endpoint or backend fails, for the caller to fall back to the local classifier.
+ */
+async function requestClassification(api, text, labels) {
+    if (api === EXPRESSION_API.llm) {
+        const classification = await getLlmClassification(text, labels);
+        if (classification.length > 0)
+            return classification;
+
+        console.debug(DEBUG_PREFIX,'LLM answer has no known label, using fallback expression');
+        return undefined;
+    }
+
+    try {
+        if (api === EXPRESSION_API.local) {
+            // Local transformers pipeline
+            const apiResult = await fetch('/api/extra/classify', {
+                method: 'POST',
+                headers: getRequestHeaders(),
+                body: JSON.stringify({ text: text }),
+            });
+
+            if (apiResult.ok) {
+                const data = await apiResult.json();
+                return data.classification;
+            }
+        } else if (api === EXPRESSION_API.extras) {
+            // Extras
+            const url = new URL(getApiUrl());
+            url.pathname = '/api/classify';
+
+            const apiResult = await doExtrasFetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Bypass-Tunnel-Reminder': 'bypass',
+                },
+                body: JSON.stringify({ text: text }),
+            });
+
+            if (apiResult.ok) {
+                const data = await apiResult.json();
+                return data.classification;
+            }
+        }
+        return undefined;
+    } catch (error) {
+        console.debug(DEBUG_PREFIX, 'Classification request failed', error);
+        return undefined;
+    }
+}
+
+function getLlmPrompt(text, labels) {
+    const count = Math.max(1, extension_settings.live2d.emotionBlendCount ?? 1);
+
+    return 'Classify the emotions expressed in the text below.\n'
+        + `Allowed labels: ${labels.join(', ')}\n`
+        + `Answer with up to ${count} allowed label(s), one per line, formatted as "label: score" with a score between 0 and 1. Do not write anything else.\n\n`
+        + `Text:\n"""\n${text}\n"""\n\n`
+        + 'Answer:\n';
+}
+
+/**
+ * Generates with the backend connected in SillyTavern. generateRaw takes an options object in recent
+ * versions and positional arguments in older ones, told apart by their declared parameter count.
+ * @param {string} prompt Prompt to complete.
+ * @returns {Promise<string>} Generated text.
+ */
+async function generateWithBackend(prompt) {
+    if (typeof generateRaw !== 'function')
+        throw new Error('generateRaw is not available');
+
+    if (generateRaw.length > 1)
+        return await generateRaw(prompt, null, false, false, '', LLM_RESPONSE_LENGTH);
+
+    return await generateRaw({ prompt: prompt, responseLength: LLM_RESPONSE_LENGTH });
+}
+
+/**
+ * Asks the LLM for the emotions of a text, through the completion endpoint set in the settings
+ * or the backend connected in SillyTavern.
+ * @param {string} text Text to classify.
+ * @param {string[]} labels Allowed labels.
+ * @returns {Promise<{label: string, score: number}[]>} Parsed labels, empty if the answer has none.
+ * @throws {Error} If the request fails or the answer is empty.
+ */
+async function getLlmClassification(text, labels) {
+    const prompt = getLlmPrompt(text, labels);
+    const endpoint = extension_settings.live2d.llmClassifyEndpoint ?? '';
+
+    const request = llm_queue.then(async () => {
+        if (endpoint == '')
+            return await generateWithBackend(prompt);
+
+        // OpenAI compatible completion endpoint
+        const apiResult = await fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ prompt: prompt, max_tokens: LLM_RESPONSE_LENGTH, temperature: 0 }),
+        });
+
+        if (!apiResult.ok)
+            throw new Error(`LLM classification endpoint answered ${apiResult.status}`);
+
+        const data = await apiResult.json();
+        return data.choices?.[0]?.text ?? data.choices?.[0]?.message?.content ?? data.content ?? '';
+    });
+    // Next request waits for this one, failed or not
+    llm_queue = request.catch(() => {});
+
+    const answer = await request;
+    console.debug(DEBUG_PREFIX,'LLM classification answer:',answer);
+    if (!answer)
+        throw new Error('LLM classification answer is empty');
+
+    return parseLlmClassification(String(answer), labels);
+}
+
+/**
+ * Parses the LLM classification answer. Lines formatted as "label: score" are expected,
+ * a bare label is accepted with score 1. Unknown labels are ignored.
+ * @param {string} answer LLM answer.
+ * @param {string[]} labels Allowed labels.
+ * @returns {{label: string, score: number}[]} Labels with their score.
+ */
+function parseLlmClassification(answer, labels) {
+    const classification = [];
+    const text = answer.toLowerCase();
+
+    for (const match of text.matchAll(/([\p{L}\p{N}_-]+)\s*[:=]\s*(\d*\.?\d+)/gu)) {
+        const label = match[1];
+        const score = Math.min(1, Number(match[2]));
+        if (labels.includes(label) && !classification.some(emotion => emotion.label == label))
+            classification.push({ 'label': label, 'score': score });
+    }
+
+    // Bare label answer, first allowed label found
+    if (classification.length == 0) {
+        const words = text.match(/[\p{L}\p{N}_-]+/gu) ?? [];
+        const label = words.find(word => labels.includes(word));
+        if (label !== undefined)
+            classification.push({ 'label': label, 'score': 1 });
+    }
+
+    return classification;
+}
+
+/**
+ * Processes the classification text to reduce the amount of text sent to the API.
+ * Quotes and asterisks are to be removed. If the text is less than 300 characters, it is returned as is.
+ * If the text is more than 300 characters, the first and last 150 characters are returned.
+ * The result is trimmed to the end of sentence.
+ * @param {string} text The text to process.
+ * @returns {string}
+ */
+function sampleClassifyText(text) {
+    if (!text) {
+        return text;
+    }
+
+    // Remove asterisks and quotes
+    let result = text.replace(/[\*\"]/g, '');
+
+    const SAMPLE_THRESHOLD = 300;
+    const HALF_SAMPLE_THRESHOLD = SAMPLE_THRESHOLD / 2;
+
+    if (text.length < SAMPLE_THRESHOLD) {
+        result = trimToEndSentence(result);
+    } else {
+        result = trimToEndSentence(result.slice(0, HALF_SAMPLE_THRESHOLD)) + ' ' + trimToStartSentence(result.slice(-HALF_SAMPLE_THRESHOLD));
+    }
+
+    return result.trim();
+}
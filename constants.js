@@ -15,9 +15,23 @@ export {
     VN_MODE_DIV,
     PARAM_MOUTH_OPEN_Y_DEFAULT,
     PARAM_MOUTH_OPEN_Y_PATCH,
+    PARAM_MOUTH_FORM_DEFAULT,
+    PARAM_MOUTH_FORM_PATCH,
+    VISEME_MAPPING_DEFAULT,
     ID_PARAM_DEFAULT,
     ID_PARAM_PATCH,
     JS_LIBS,
+    TTS_AUDIO_ID,
+    LIP_SYNC_DEFAULT,
+    LIP_SYNC_INTERVAL_MS,
+    SPEECH_EVENTS,
+    EXPRESSION_DECAY_DEFAULT,
+    CLASSIFY_INTENSITY_DEFAULT,
+    SEQUENCE_PREFIX,
+    SEQUENCE_STEP_TYPES,
+    SEQUENCE_STEP_DEFAULT,
+    RECORDED_MOTION_PREFIX,
+    MOTION_OPTIONS_DEFAULT,
 };
 
 const MODULE_NAME = 'Live2d';
@@ -78,7 +92,7 @@ const CANVAS_ID = 'live2d-canvas';
 
 const delay = ms => new Promise(res => setTimeout(res, ms));
 
-const TEST_MESSAGE = 'TEST MESSAGE: ' + new Array(500 + 1).join( '#' );
+const TEST_MESSAGE = 'TEST MESSAGE: ' + new Array(10 + 1).join( 'Hello, how are you doing today? I am fine, thank you. ' );
 const SPRITE_DIV = 'expression-wrapper';
 const VN_MODE_DIV = 'visual-novel-wrapper';
 
@@ -86,6 +100,72 @@ const PARAM_MOUTH_OPEN_Y_DEFAULT = 'ParamMouthOpenY';
 
 const PARAM_MOUTH_OPEN_Y_PATCH = ['PARAM_MOUTH_OPEN_Y', 'PARAM_MOUTH_OPEN'];
 
+const PARAM_MOUTH_FORM_DEFAULT = 'ParamMouthForm';
+
+const PARAM_MOUTH_FORM_PATCH = ['PARAM_MOUTH_FORM'];
+
+// Mouth open / mouth form values of each viseme
+const VISEME_MAPPING_DEFAULT = {
+    'A': { 'open': 1.0, 'form': 0.0 },
+    'I': { 'open': 0.4, 'form': 1.0 },
+    'U': { 'open': 0.35, 'form': -1.0 },
+    'E': { 'open': 0.6, 'form': 0.6 },
+    'O': { 'open': 0.8, 'form': -0.6 },
+    'closed': { 'open': 0.0, 'form': 0.0 },
+};
+
+// Audio element created by the TTS extension
+const TTS_AUDIO_ID = 'tts_audio';
+
+// Audio lip sync model settings
+const LIP_SYNC_DEFAULT = {
+    'lip_sync_gain': 5.0,
+    'lip_sync_noise_gate': 0.02,
+    'lip_sync_smoothing': 0.5,
+};
+const LIP_SYNC_INTERVAL_MS = 20;
+
+// Events other extensions can emit on eventSource to drive the talk animation
+const SPEECH_EVENTS = {
+    START: 'live2d_speech_start', // (character, audio element)
+    END: 'live2d_speech_end', // (character)
+};
+
+// Return to the resting animation after a classified expression, steps map an emotion to the next one
+const EXPRESSION_DECAY_DEFAULT = {
+    'enabled': false,
+    'hold': 20, // seconds
+    'steps': {},
+};
+
+// Classifier score scales the classified expressions: full weight from full_score, never below min_weight,
+// the strong motion of a label plays from strong_score
+const CLASSIFY_INTENSITY_DEFAULT = {
+    'enabled': false,
+    'full_score': 0.8,
+    'min_weight': 0.2,
+    'strong_score': 0.8,
+};
+
+// Sequences ("scenes") are chosen in the motion lists with the value scene:<name>
+const SEQUENCE_PREFIX = 'scene:';
+// expression and motion steps take an expression/motion name, wait steps a duration in ms
+const SEQUENCE_STEP_TYPES = ['expression', 'motion', 'wait'];
+const SEQUENCE_STEP_DEFAULT = { 'type': 'wait', 'value': 500 };
+
+// Recorded motions are added to the model as the motion group recorded:<name>
+const RECORDED_MOTION_PREFIX = 'recorded:';
+
+// Playback options of a mapped motion: number of plays (0 loops until replaced), speed, fades in ms (-1 keeps the ones
+// of the motion file) and animation queue priority ('default' keeps the one of the mapping kind)
+const MOTION_OPTIONS_DEFAULT = {
+    'loop': 1,
+    'speed': 1,
+    'fade_in': -1,
+    'fade_out': -1,
+    'priority': 'default',
+};
+
 // Animations patches
 const ID_PARAM_DEFAULT = {
     'idParamAngleX' : 'ParamAngleX',
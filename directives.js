@@ -0,0 +1,89 @@
+/**
+ * Inline animation directives written in character messages
+ * [live2d expression=Smile motion=tap_body_id=0] plays an expression and/or motion,
+ * <l2d:wave> plays the expression or motion group named wave.
+ * Directives are removed from the spoken/classified text and hidden from the displayed message.
+ */
+
+import { textToVisemes, getTimelineDuration } from './visemes.js';
+
+export {
+    parseDirectives,
+    stripDirectives,
+    hideDirectives,
+};
+
+const DIRECTIVE_REGEX = /\[live2d\s+([^\]]*)\]|<l2d:([^>\s]+)\s*\/?>/gi;
+// Directive still being written in a streamed reply
+const PARTIAL_DIRECTIVE_REGEX = /(\[live2d\b[^\]]*|<l2d:[^>]*)$/i;
+// Key/value pairs of [live2d ...], values may contain '=' (motion=tap_body_id=0) or be quoted
+const DIRECTIVE_OPTION_REGEX = /(\w+)=("[^"]*"|'[^']*'|\S+)/g;
+
+/**
+ * Extracts the directives of a message.
+ * @param {string} text Message text.
+ * @param {number} time_per_character Duration of one character in ms, same as the talk animation.
+ * @returns {{text: string, directives: {expression?: string, motion?: string, name?: string, index: number, start: number}[]}}
+ * Text without directives and directives in order, index is the position in that text and start the talk time in ms.
+ */
+function parseDirectives(text, time_per_character) {
+    const directives = [];
+    let clean_text = '';
+    let last_index = 0;
+
+    for (const match of text.matchAll(DIRECTIVE_REGEX)) {
+        clean_text += text.slice(last_index, match.index);
+        last_index = match.index + match[0].length;
+
+        const directive = { 'index': clean_text.length, 'start': 0 };
+        if (match[2] !== undefined) {
+            directive['name'] = match[2];
+        }
+        else {
+            for (const option of match[1].matchAll(DIRECTIVE_OPTION_REGEX)) {
+                const key = option[1].toLowerCase();
+                if (key == 'expression' || key == 'motion')
+                    directive[key] = option[2].replace(/^["']|["']$/g, '');
+            }
+            if (directive['expression'] === undefined && directive['motion'] === undefined)
+                continue;
+        }
+        directives.push(directive);
+    }
+    clean_text += text.slice(last_index);
+
+    // The talk time of a directive is the duration of the text before it
+    for (const directive of directives)
+        directive.start = getTimelineDuration(textToVisemes(clean_text.slice(0, directive.index), time_per_character));
+
+    return { 'text': clean_text, 'directives': directives };
+}
+
+/**
+ * Removes the directives of a text, including a directive not finished yet at the end of a streamed text.
+ * @param {string} text Message text.
+ * @returns {string} Text without directives.
+ */
+function stripDirectives(text) {
+    return text.replace(DIRECTIVE_REGEX, '').replace(PARTIAL_DIRECTIVE_REGEX, '');
+}
+
+/**
+ * Hides the directives from displayed messages, the stored message keeps them.
+ * @param {HTMLElement} element Element containing rendered messages.
+ */
+function hideDirectives(element) {
+    for (const message_text of element.querySelectorAll('.mes_text')) {
+        const walker = document.createTreeWalker(message_text, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        while (walker.nextNode())
+            nodes.push(walker.currentNode);
+
+        for (const node of nodes) {
+            const value = node.nodeValue;
+            if (!/\[live2d|<l2d:/i.test(value))
+                continue;
+            node.nodeValue = stripDirectives(value);
+        }
+    }
+}
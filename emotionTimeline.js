@@ -0,0 +1,83 @@
+/**
+ * Emotion timeline of a reply
+ * Splits message text into sentences or paragraphs classified separately,
+ * each segment starts at the talk time of its first character.
+ */
+
+import { textToVisemes, getTimelineDuration } from './visemes.js';
+
+export {
+    EMOTION_TIMELINE_MODES,
+    splitMessageSegments,
+    getSegmentAt,
+};
+
+const EMOTION_TIMELINE_MODES = ['off', 'sentence', 'paragraph'];
+
+// Segments shorter than this are merged with the previous one, too little text to classify
+const MIN_SEGMENT_LENGTH = 20;
+
+const SEPARATORS = {
+    'sentence': /[.!?…]+["“”«»*_~)]*(?:\s+|$)|\n+/g,
+    'paragraph': /\n\s*\n|\n+/g,
+};
+
+/**
+ * Splits a message into segments timed like the talk animation.
+ * @param {string} text Message text.
+ * @param {string} mode Segment size, 'sentence' or 'paragraph'.
+ * @param {number} time_per_character Duration of one character in ms, same as the talk animation.
+ * @returns {{text: string, index: number, start: number}[]} Segments, index is the position in the text and start the talk time in ms.
+ */
+function splitMessageSegments(text, mode, time_per_character) {
+    const separator = SEPARATORS[mode];
+    if (!text || separator === undefined)
+        return [];
+
+    const segments = [];
+    let index = 0;
+
+    const push = (end) => {
+        const segment_text = text.slice(index, end).trim();
+        if (segment_text.length > 0) {
+            const last = segments[segments.length - 1];
+            if (last !== undefined && last.text.length < MIN_SEGMENT_LENGTH)
+                last.text = text.slice(last.index, end).trim();
+            else
+                segments.push({ 'text': segment_text, 'index': index, 'start': 0 });
+        }
+        index = end;
+    };
+
+    for (const match of text.matchAll(separator))
+        push(match.index + match[0].length);
+    push(text.length);
+
+    // Short last segment goes with the previous one
+    const last = segments[segments.length - 1];
+    if (segments.length > 1 && last.text.length < MIN_SEGMENT_LENGTH) {
+        segments.pop();
+        segments[segments.length - 1].text = text.slice(segments[segments.length - 1].index).trim();
+    }
+
+    // The talk time of a segment is the duration of the text before it
+    for (const segment of segments)
+        segment.start = getTimelineDuration(textToVisemes(text.slice(0, segment.index), time_per_character));
+
+    return segments;
+}
+
+/**
+ * Returns the index of the segment spoken at a given talk time.
+ * @param {object[]} segments Segments built by splitMessageSegments.
+ * @param {number} time Talk time in ms.
+ * @returns {number} Segment index.
+ */
+function getSegmentAt(segments, time) {
+    let current = 0;
+    for (let i = 1; i < segments.length; i++) {
+        if (segments[i].start <= time)
+            current = i;
+    }
+    return current;
+}
@@ -0,0 +1,256 @@
+/**
+ * Parameter level expression blending for Live2D models
+ * Several expressions of a model are applied together each frame, each one scaled by its weight,
+ * so mixed emotions show the features of all of them. Expressions played together are layers:
+ * each one can override the blend of its parameters and has its own fade-in and fade-out.
+ */
+
+import { extension_settings } from '../../../extensions.js';
+import { DEBUG_PREFIX } from './constants.js';
+
+export {
+    EXPRESSION_LAYER_BLENDS,
+    EXPRESSION_LAYER_DEFAULT,
+    getExpressionList,
+    isNativeExpression,
+    loadExpressionParameters,
+    setPreviewParameters,
+    readModelParameters,
+    setBlendedExpressions,
+    clearBlendedExpressions,
+    attachExpressionBlending,
+    detachExpressionBlending,
+};
+
+// file: blend of each parameter written in the expression file
+const EXPRESSION_LAYER_BLENDS = ['file', 'add', 'multiply', 'overwrite'];
+
+// Layer settings of an expression, fade times in ms to go from 0 to full weight and back
+const EXPRESSION_LAYER_DEFAULT = {
+    'blend': 'file',
+    'fade_in': 500,
+    'fade_out': 500,
+};
+
+// Cubism 4 ExpressionBlendType order
+const CUBISM4_BLENDS = ['add', 'multiply', 'overwrite'];
+const CUBISM2_BLENDS = { 'add': 'add', 'mult': 'multiply', 'set': 'overwrite' };
+
+// Blended expressions of each character: { expression: { parameters, weight, target, layer } }
+const blended_expressions = {};
+
+// Model and frame listener of each character
+const attached_models = {};
+
+// Parameters shown by the custom expression editor on each character: { id: value }
+const preview_parameters = {};
+
+/**
+ * Returns the expressions of a mapping value, a single expression name, 'none' or a list of expression names.
+ * @param {string|string[]} value Expression mapping value.
+ * @returns {string[]} Expression names, empty for 'none'.
+ */
+function getExpressionList(value) {
+    const expressions = Array.isArray(value) ? value : [value];
+    return expressions.filter(expression => expression !== undefined && expression != 'none');
+}
+
+// Expression defined in the model files, played by the model expression manager
+function isNativeExpression(model, expression) {
+    const manager = model?.internalModel?.motionManager?.expressionManager;
+    return manager !== undefined && manager.getExpressionIndex(expression) >= 0;
+}
+
+/**
+ * Loads the parameters changed by an expression of a model, expression file or custom expression of the model settings.
+ * @param {object} model Live2D model.
+ * @param {string} expression Expression name.
+ * @returns {Promise<{id: string, blend: string, value: number}[]|undefined>} Parameters or undefined if the expression cannot be loaded.
+ */
+async function loadExpressionParameters(model, expression) {
+    if (!isNativeExpression(model, expression)) {
+        const custom = extension_settings.live2d.characterModelsSettings[model?.st_character]?.[model?.st_model_path]?.['custom_expressions']?.[expression];
+        if (custom === undefined)
+            return undefined;
+        return Object.entries(custom).map(([id, value]) => ({ 'id': id, 'blend': 'overwrite', 'value': value }));
+    }
+
+    const manager = model.internalModel.motionManager.expressionManager;
+    const index = manager.getExpressionIndex(expression);
+
+    const motion = await manager.loadExpression(index);
+
+    // Cubism 4
+    if (Array.isArray(motion?._parameters))
+        return motion._parameters.map(p => ({ 'id': p.parameterId, 'blend': CUBISM4_BLENDS[p.blendType] ?? 'add', 'value': p.value }));
+
+    // Cubism 2, values are already relative to the parameter default
+    if (Array.isArray(motion?.params))
+        return motion.params.map(p => ({ 'id': p.id, 'blend': CUBISM2_BLENDS[p.calc] ?? 'add', 'value': p.val }));
+
+    return undefined;
+}
+
+/**
+ * Fades the expressions of a character to the given weights, expressions not listed fade out.
+ * @param {string} character Character name.
+ * @param {{expression: string, weight: number}[]} expressions Expressions to blend with their weight between 0 and 1.
+ * @param {object} [layers] Layer settings of the model expressions by name, EXPRESSION_LAYER_DEFAULT when not set.
+ */
+async function setBlendedExpressions(character, expressions, layers = {}) {
+    const model = attached_models[character]?.model;
+    if (model === undefined)
+        return;
+
+    const blends = blended_expressions[character];
+    for (const name in blends)
+        blends[name].target = 0;
+
+    for (const entry of expressions) {
+        if (blends[entry.expression] === undefined) {
+            const parameters = await loadExpressionParameters(model, entry.expression);
+            if (parameters === undefined) {
+                console.debug(DEBUG_PREFIX,'Cannot load parameters of expression',entry.expression,'for blending');
+                continue;
+            }
+            blends[entry.expression] = { 'parameters': parameters, 'weight': 0, 'target': 0 };
+        }
+        blends[entry.expression].layer = { ...EXPRESSION_LAYER_DEFAULT, ...layers[entry.expression] };
+        blends[entry.expression].target = Math.max(0, Math.min(1, entry.weight));
+    }
+
+    // The expression manager would apply its own expression on top
+    model.internalModel.motionManager.expressionManager?.resetExpression();
+
+    console.debug(DEBUG_PREFIX,'Blending expressions of',character,':',expressions);
+}
+
+// Fades out every blended expression of a character
+function clearBlendedExpressions(character) {
+    const blends = blended_expressions[character];
+    if (blends === undefined)
+        return;
+
+    for (const name in blends)
+        blends[name].target = 0;
+}
+
+function applyParameter(core_model, parameter, blend, weight) {
+    // Cubism 4
+    if (typeof core_model.addParameterValueById === 'function') {
+        switch (blend) {
+            case 'multiply':
+                core_model.multiplyParameterValueById(parameter.id, parameter.value, weight);
+                break;
+            case 'overwrite':
+                core_model.setParameterValueById(parameter.id, parameter.value, weight);
+                break;
+            default:
+                core_model.addParameterValueById(parameter.id, parameter.value, weight);
+        }
+        return;
+    }
+
+    // Cubism 2
+    switch (blend) {
+        case 'multiply':
+            core_model.multParamFloat(parameter.id, parameter.value, weight);
+            break;
+        case 'overwrite':
+            core_model.setParamFloat(parameter.id, parameter.value, weight);
+            break;
+        default:
+            core_model.addToParamFloat(parameter.id, parameter.value, weight);
+    }
+}
+
+function updateBlendedExpressions(character) {
+    const attached = attached_models[character];
+    const blends = blended_expressions[character];
+    const core_model = attached?.model?.internalModel?.coreModel;
+    if (core_model === undefined || blends === undefined)
+        return;
+
+    const now = performance.now();
+    const elapsed = now - attached.last_update;
+    attached.last_update = now;
+
+    for (const name in blends) {
+        const blend = blends[name];
+        if (blend.weight < blend.target)
+            blend.weight = Math.min(blend.target, blend.weight + fadeStep(elapsed, blend.layer['fade_in']));
+        else
+            blend.weight = Math.max(blend.target, blend.weight - fadeStep(elapsed, blend.layer['fade_out']));
+
+        if (blend.weight <= 0 && blend.target <= 0) {
+            delete blends[name];
+            continue;
+        }
+
+        for (const parameter of blend.parameters)
+            applyParameter(core_model, parameter, blend.layer['blend'] == 'file' ? parameter.blend : blend.layer['blend'], blend.weight);
+    }
+
+    // Editor preview goes over everything else
+    for (const id in preview_parameters[character] ?? {})
+        applyParameter(core_model, { 'id': id, 'value': preview_parameters[character][id] }, 'overwrite', 1);
+}
+
+/**
+ * Shows parameter values on the model of a character every frame, used to preview custom expressions while editing.
+ * @param {string} character Character name.
+ * @param {object} [parameters] Parameter values by id, undefined stops the preview.
+ */
+function setPreviewParameters(character, parameters) {
+    if (parameters === undefined)
+        delete preview_parameters[character];
+    else
+        preview_parameters[character] = parameters;
+}
+
+/**
+ * Reads the current parameter values of the model of a character.
+ * @param {string} character Character name.
+ * @param {string[]} ids Parameter ids.
+ * @returns {object|undefined} Values by id, undefined when no model is loaded for the character.
+ */
+function readModelParameters(character, ids) {
+    const core_model = attached_models[character]?.model?.internalModel?.coreModel;
+    if (core_model === undefined)
+        return undefined;
+
+    const values = {};
+    for (const id of ids)
+        values[id] = typeof core_model.getParameterValueById === 'function' ? core_model.getParameterValueById(id) : core_model.getParamFloat(id);
+    return values;
+}
+
+// Weight change of a fade during the elapsed time, a fade of 0 ms is immediate
+function fadeStep(elapsed, fade_time) {
+    return fade_time > 0 ? Math.min(1, elapsed / fade_time) : 1;
+}
+
+/**
+ * Applies the blended expressions of a character every frame, before the model parameters are computed.
+ * @param {string} character Character name.
+ * @param {object} model Live2D model of the character.
+ */
+function attachExpressionBlending(character, model) {
+    detachExpressionBlending(character);
+
+    const listener = () => updateBlendedExpressions(character);
+    model.internalModel.on('beforeModelUpdate', listener);
+    attached_models[character] = { 'model': model, 'listener': listener, 'last_update': performance.now() };
+    blended_expressions[character] = {};
+}
+
+function detachExpressionBlending(character) {
+    const attached = attached_models[character];
+    if (attached === undefined)
+        return;
+
+    attached.model.internalModel?.off('beforeModelUpdate', attached.listener);
+    delete attached_models[character];
+    delete blended_expressions[character];
+    delete preview_parameters[character];
+}
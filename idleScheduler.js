@@ -0,0 +1,52 @@
+/**
+ * Weighted idle motion scheduler
+ * Per-model idle motions picked from weighted motion groups at random intervals,
+ * only while the character is neither talking nor playing another animation.
+ */
+
+export {
+    IDLE_SCHEDULER_DEFAULT,
+    pickIdleGroup,
+    getIdleInterval,
+};
+
+// Intervals and quiet time in seconds, group weights by motion group name (0 or missing: never picked)
+const IDLE_SCHEDULER_DEFAULT = {
+    'enabled': false,
+    'min_interval': 10,
+    'max_interval': 30,
+    'quiet_time': 3,
+    'skip_talking': true,
+    'group_weights': {},
+};
+
+/**
+ * Picks a motion group at random, proportionally to its weight.
+ * @param {Object<string, number>} weights Weight of each motion group.
+ * @param {string[]} groups Motion groups of the model, groups missing from the model are ignored.
+ * @returns {string|undefined} Picked group, undefined when no group has a weight.
+ */
+function pickIdleGroup(weights, groups) {
+    const candidates = groups.filter(group => (weights[group] ?? 0) > 0);
+    const total = candidates.reduce((sum, group) => sum + weights[group], 0);
+
+    let draw = Math.random() * total;
+    for (const group of candidates) {
+        draw -= weights[group];
+        if (draw < 0)
+            return group;
+    }
+
+    return candidates[candidates.length - 1];
+}
+
+/**
+ * Returns a random delay before the next idle motion.
+ * @param {object} settings Idle scheduler settings of the model.
+ * @returns {number} Delay in ms between the minimum and maximum intervals.
+ */
+function getIdleInterval(settings) {
+    const min = Math.min(settings['min_interval'], settings['max_interval']);
+    const max = Math.max(settings['min_interval'], settings['max_interval']);
+    return (min + Math.random() * (max - min)) * 1000;
+}
@@ -32,6 +32,30 @@ DONE:
   - don't send hit area when moving
   - Hide sprite of character with active live2d model
   - Mouse tracking and mouth parameter customisation menu (auto populated / patched)
+  - Mouth driven by TTS audio loudness (gain / noise gate / smoothing per model)
+  - Viseme mouth shapes (A/I/U/E/O/closed) from the message text
+  - Talk animation follows streamed replies
+  - Emotion timeline: sentences/paragraphs classified separately and played along the talk
+  - Blend expressions of the top classified emotions, minimum confidence threshold
+  - Expression decay to a resting animation with intermediate steps
+  - Custom emotion label sets per model
+  - LLM classification with the model label set
+  - Inline directives [live2d expression=... motion=...] and <l2d:name> played along the talk
+  - Keyword/regex trigger rules
+  - Classification cache in chat metadata, replay on swipes/edits/deletions
+  - Animation queue per character with priorities (idle < classified < click < script)
+  - Expression layers: several expressions with their own blend and fade times
+  - Custom expressions made of parameter values for models without expression files
+  - Persistent mood (valence/arousal) shaping breathing, gaze, body movement and idle motion group
+  - Classifier confidence scales classified expressions, strong motion variant per label
+  - Named sequences of expressions/motions/waits per model, usable as a motion everywhere
+  - Weighted idle motion scheduler per model, paused while talking or reacting
+  - Motion recorder: parameter sliders recorded into motion3.json, saved per model and downloadable
+  - Motion playback options per mapping (plays/loop, speed, fades, priority), loops driven by motion finished events
+  - Soft model reset (motions, expressions, parameters, auto animations) for force animation and the reload button
+  - Natural auto-blink: detected eye open parameters, double blinks, curves, gaze shift/talking/nervous blinks
+  - Frame-synced animation ticker: breathing, gaze, microsaccades, body movement and blinks updated once per model frame
+  - Auto animation profiles per character/model over the global values, named presets shared between models
 
 TODO:
 - Search function / thumbnail
@@ -42,7 +66,6 @@ TODO:
 
 IDEAS:
   - move event capture ?
-  - Synchronize mouth with TTS audio (maybe can make it play through live2d with lip sync)
   - option to detach live2d ui
   - Look at speaker option
   - Flip Y option
@@ -58,12 +81,25 @@ import {
     DEBUG_PREFIX,
     extensionFolderPath,
     SPRITE_DIV,
+    SPEECH_EVENTS,
 } from './constants.js';
 
+import {
+    hideDirectives,
+} from './directives.js';
+
+import {
+    MOOD_IDLE_GROUPS_DEFAULT,
+    clearMoodCache,
+} from './mood.js';
+
 import {
     onEnabledClick,
     onFollowCursorClick,
     onAutoSendInteractionClick,
+    onEmotionTimelineChange,
+    onEmotionBlendChange,
+    onLlmClassifyEndpointChange,
     onShowFramesClick,
     onForceAnimationClick,
     onForceLoopClick,
@@ -77,10 +113,38 @@ import {
     onModelCoordChange,
     onModelEyeOffsetChange,
     onModelMouthChange,
+    onModelLipSyncChange,
     onModelParamChange,
     onModelParamResetClick,
     onModelParamDeleteClick,
     onAnimationMappingChange,
+    onExpressionDecayChange,
+    onClassifyIntensityChange,
+    onIdleSchedulerChange,
+    onClassifyLabelsChange,
+    onClassifyLabelsResetClick,
+    onTriggerRuleAddClick,
+    onCustomExpressionSelectChange,
+    onCustomExpressionSaveClick,
+    onCustomExpressionDeleteClick,
+    onCustomExpressionCaptureClick,
+    onCustomExpressionResetClick,
+    onSequenceSelectChange,
+    onSequenceSaveClick,
+    onSequenceDeleteClick,
+    onSequencePreviewClick,
+    onSequenceAddStepClick,
+    onRecorderAddClick,
+    onRecorderRecordClick,
+    onRecorderPlayClick,
+    onRecorderDownloadClick,
+    onRecordedMotionSelectChange,
+    onRecordedMotionSaveClick,
+    onRecordedMotionDeleteClick,
+    onMoodEnabledClick,
+    onMoodChange,
+    onMoodResetClick,
+    onMoodIdleGroupChange,
     onAutoAnimationsEnabledClick,
     onAutoEyeCenterWeightChange,
     onAutoEyeAmplitudeCenterChange,
@@ -95,6 +159,13 @@ import {
     onMicrosaccadeDurationChange,
     onMicrosaccadeIntervalMinChange,
     onMicrosaccadeIntervalMaxChange,
+    onAutoBlinkEnabledClick,
+    onAutoBlinkChange,
+    loadAutoAnimationSettingsUi,
+    onAutoAnimationPresetChange,
+    onAutoAnimationOwnValuesClick,
+    onAutoAnimationPresetSaveClick,
+    onAutoAnimationPresetDeleteClick,
     onRestartAnimationsClick,
     onResetCustomParamClick,
     onLogParametersClick,
@@ -116,11 +187,20 @@ import {
 import {
     updateExpression,
     playMessage,
+    playStreamingTalk,
+    endStreamingTalk,
+    resetStreamingTalk,
+    replayMessage,
+    onMessageDeleted,
+    beginSpeech,
+    endSpeech,
+    bindTtsAudio,
     loadLive2d,
+    resetModels,
     charactersWithModelLoaded,
-    forceLoopAnimation,
     playMotion,
     playExpression,
+    playSequence,
     resetParameters,
     setParameter,
     startAutoAnimations,
@@ -138,6 +218,10 @@ const defaultSettings = {
     enabled: false,
     followCursor: false,
     autoSendInteraction: false,
+    emotionTimeline: 'off',
+    emotionBlendCount: 1,
+    emotionMinConfidence: 0,
+    llmClassifyEndpoint: '',
 
     // Debug
     force_animation: false,
@@ -154,6 +238,11 @@ const defaultSettings = {
     autoEyeFixationMax: 2000,
     autoBreathAmplitude: 0.024,
     autoBreathSpeed: 0.5,
+
+    // Mood settings
+    moodEnabled: false,
+    moodInfluence: 0.3, // Share of the way toward the emotions of a message
+    moodHalfLife: 10, // Minutes for the mood to fade halfway back to neutral, 0 never fades
     
     // Microsaccades settings
     microsaccadesEnabled: true,
@@ -163,6 +252,20 @@ const defaultSettings = {
     microsaccadeIntervalMin: 300,
     microsaccadeIntervalMax: 1500,
 
+    // Auto blink settings
+    autoBlinkEnabled: true,
+    autoBlinkRate: 15, // Blinks per minute
+    autoBlinkDoubleChance: 0.1,
+    autoBlinkCloseMs: 80,
+    autoBlinkOpenMs: 150,
+    autoBlinkCloseCurve: 'ease_in',
+    autoBlinkOpenCurve: 'ease_out',
+    autoBlinkTalkingMultiplier: 1.5,
+    autoBlinkOnGazeShift: true,
+
+    // Auto animation presets shared between models, values by setting name
+    autoAnimationPresets: {},
+
     // Character model mapping
     characterModelMapping: {},
     characterModelsSettings: {},
@@ -191,6 +294,19 @@ function loadSettings() {
         Object.assign(extension_settings.live2d, defaultSettings);
     }
 
+    if (extension_settings.live2d.emotionTimeline === undefined) {
+        extension_settings.live2d.emotionTimeline = defaultSettings.emotionTimeline;
+    }
+    if (extension_settings.live2d.emotionBlendCount === undefined) {
+        extension_settings.live2d.emotionBlendCount = defaultSettings.emotionBlendCount;
+    }
+    if (extension_settings.live2d.emotionMinConfidence === undefined) {
+        extension_settings.live2d.emotionMinConfidence = defaultSettings.emotionMinConfidence;
+    }
+    if (extension_settings.live2d.llmClassifyEndpoint === undefined) {
+        extension_settings.live2d.llmClassifyEndpoint = defaultSettings.llmClassifyEndpoint;
+    }
+
     // Ensure auto animation settings exist with defaults
     if (extension_settings.live2d.autoAnimationsEnabled === undefined) {
         extension_settings.live2d.autoAnimationsEnabled = defaultSettings.autoAnimationsEnabled;
@@ -221,6 +337,16 @@ function loadSettings() {
     if (extension_settings.live2d.autoBreathSpeed === undefined) {
         extension_settings.live2d.autoBreathSpeed = defaultSettings.autoBreathSpeed;
     }
+
+    if (extension_settings.live2d.moodEnabled === undefined) {
+        extension_settings.live2d.moodEnabled = defaultSettings.moodEnabled;
+    }
+    if (extension_settings.live2d.moodInfluence === undefined) {
+        extension_settings.live2d.moodInfluence = defaultSettings.moodInfluence;
+    }
+    if (extension_settings.live2d.moodHalfLife === undefined) {
+        extension_settings.live2d.moodHalfLife = defaultSettings.moodHalfLife;
+    }
     
     // Ensure microsaccades settings exist with defaults
     if (extension_settings.live2d.microsaccadesEnabled === undefined) {
@@ -242,6 +368,17 @@ function loadSettings() {
         extension_settings.live2d.microsaccadeIntervalMax = defaultSettings.microsaccadeIntervalMax;
     }
 
+    // Ensure auto blink settings exist with defaults
+    for (const key of ['autoBlinkEnabled', 'autoBlinkRate', 'autoBlinkDoubleChance', 'autoBlinkCloseMs', 'autoBlinkOpenMs',
+        'autoBlinkCloseCurve', 'autoBlinkOpenCurve', 'autoBlinkTalkingMultiplier', 'autoBlinkOnGazeShift']) {
+        if (extension_settings.live2d[key] === undefined)
+            extension_settings.live2d[key] = defaultSettings[key];
+    }
+
+    if (extension_settings.live2d.autoAnimationPresets === undefined) {
+        extension_settings.live2d.autoAnimationPresets = {};
+    }
+
     // Ensure mouth-linked parameters defaults exist
     if (extension_settings.live2d.mouthLinkedDefaults === undefined) {
         extension_settings.live2d.mouthLinkedDefaults = defaultSettings.mouthLinkedDefaults;
@@ -267,6 +404,12 @@ function loadSettings() {
     $('#live2d_enabled_checkbox').prop('checked', extension_settings.live2d.enabled);
     $('#live2d_follow_cursor_checkbox').prop('checked', extension_settings.live2d.followCursor);
     $('#live2d_auto_send_interaction_checkbox').prop('checked', extension_settings.live2d.autoSendInteraction);
+    $('#live2d_emotion_timeline_select').val(extension_settings.live2d.emotionTimeline);
+    $('#live2d_emotion_blend_count').val(extension_settings.live2d.emotionBlendCount);
+    $('#live2d_emotion_blend_count_value').text(extension_settings.live2d.emotionBlendCount);
+    $('#live2d_emotion_min_confidence').val(extension_settings.live2d.emotionMinConfidence);
+    $('#live2d_emotion_min_confidence_value').text(extension_settings.live2d.emotionMinConfidence);
+    $('#live2d_llm_classify_endpoint').val(extension_settings.live2d.llmClassifyEndpoint);
 
     $('#live2d_force_animation_checkbox').prop('checked', extension_settings.live2d.force_animation);
     $('#live2d_force_loop_checkbox').prop('checked', extension_settings.live2d.force_loop);
@@ -274,44 +417,16 @@ function loadSettings() {
 
     // Auto animations settings
     $('#live2d_auto_animations_enabled').prop('checked', extension_settings.live2d.autoAnimationsEnabled);
-    $('#live2d_auto_eye_center_weight').val(Math.round(extension_settings.live2d.autoEyeCenterWeight * 100));
-    $('#live2d_auto_eye_center_weight_value').text(Math.round(extension_settings.live2d.autoEyeCenterWeight * 100));
-    $('#live2d_auto_eye_amplitude_center').val(extension_settings.live2d.autoEyeAmplitudeCenter);
-    $('#live2d_auto_eye_amplitude_center_value').text(extension_settings.live2d.autoEyeAmplitudeCenter);
-    $('#live2d_auto_eye_amplitude_peripheral').val(extension_settings.live2d.autoEyeAmplitudePeripheral);
-    $('#live2d_auto_eye_amplitude_peripheral_value').text(extension_settings.live2d.autoEyeAmplitudePeripheral);
-    $('#live2d_auto_eye_fixation_min').val(extension_settings.live2d.autoEyeFixationMin);
-    $('#live2d_auto_eye_fixation_min_value').text(extension_settings.live2d.autoEyeFixationMin);
-    $('#live2d_auto_eye_fixation_max').val(extension_settings.live2d.autoEyeFixationMax);
-    $('#live2d_auto_eye_fixation_max_value').text(extension_settings.live2d.autoEyeFixationMax);
-    $('#live2d_auto_breath_amplitude').val(extension_settings.live2d.autoBreathAmplitude);
-    $('#live2d_auto_breath_amplitude_value').text(extension_settings.live2d.autoBreathAmplitude);
-    $('#live2d_auto_breath_speed').val(extension_settings.live2d.autoBreathSpeed);
-    $('#live2d_auto_breath_speed_value').text(extension_settings.live2d.autoBreathSpeed);
-    
-    // Microsaccades settings
-    $('#live2d_microsaccades_enabled').prop('checked', extension_settings.live2d.microsaccadesEnabled);
-    $('#live2d_microsaccade_amplitude').val(extension_settings.live2d.microsaccadeAmplitude);
-    $('#live2d_microsaccade_amplitude_value').text(extension_settings.live2d.microsaccadeAmplitude.toFixed(3));
-    $('#live2d_microsaccade_frequency').val(extension_settings.live2d.microsaccadeFrequency);
-    $('#live2d_microsaccade_frequency_value').text(extension_settings.live2d.microsaccadeFrequency);
-    $('#live2d_microsaccade_duration').val(extension_settings.live2d.microsaccadeDuration);
-    $('#live2d_microsaccade_duration_value').text(extension_settings.live2d.microsaccadeDuration);
-    $('#live2d_microsaccade_interval_min').val(extension_settings.live2d.microsaccadeIntervalMin);
-    $('#live2d_microsaccade_interval_min_value').text(extension_settings.live2d.microsaccadeIntervalMin);
-    $('#live2d_microsaccade_interval_max').val(extension_settings.live2d.microsaccadeIntervalMax);
-    $('#live2d_microsaccade_interval_max_value').text(extension_settings.live2d.microsaccadeIntervalMax);
-    
-    // Body movement settings
-    $('#live2d_body_movement_enabled').prop('checked', extension_settings.live2d.bodyMovementEnabled);
-    $('#live2d_body_movement_idle_intensity').val(extension_settings.live2d.bodyMovementIdleIntensity);
-    $('#live2d_body_movement_idle_intensity_value').text(extension_settings.live2d.bodyMovementIdleIntensity.toFixed(2));
-    $('#live2d_body_movement_talking_intensity').val(extension_settings.live2d.bodyMovementTalkingIntensity);
-    $('#live2d_body_movement_talking_intensity_value').text(extension_settings.live2d.bodyMovementTalkingIntensity.toFixed(2));
-    $('#live2d_body_movement_impulse_chance').val(extension_settings.live2d.bodyMovementImpulseChance);
-    $('#live2d_body_movement_impulse_chance_value').text(extension_settings.live2d.bodyMovementImpulseChance.toFixed(1));
-    $('#live2d_body_movement_smoothness').val(extension_settings.live2d.bodyMovementSmoothness);
-    $('#live2d_body_movement_smoothness_value').text(extension_settings.live2d.bodyMovementSmoothness.toFixed(2));
+
+    // Mood settings
+    $('#live2d_mood_enabled').prop('checked', extension_settings.live2d.moodEnabled);
+    $('#live2d_mood_influence').val(extension_settings.live2d.moodInfluence);
+    $('#live2d_mood_influence_value').text(extension_settings.live2d.moodInfluence);
+    $('#live2d_mood_half_life').val(extension_settings.live2d.moodHalfLife);
+    $('#live2d_mood_half_life_value').text(extension_settings.live2d.moodHalfLife);
+
+    // Auto animation sliders, replaced by the profile of the model once one is selected
+    loadAutoAnimationSettingsUi(extension_settings.live2d);
 }
 
 //#############################//
@@ -358,10 +473,9 @@ async function moduleWorker() {
         $('#' + SPRITE_DIV).addClass('live2d-hidden');
 
 
-    // Force animation looping
-    if (extension_settings.live2d.force_loop) {
-        forceLoopAnimation();
-    }
+    // Lip sync with the TTS extension audio once it exists
+    if (moduleEnabled)
+        bindTtsAudio();
 }
 
 //#############################//
@@ -380,10 +494,14 @@ jQuery(async () => {
     $('#live2d_enabled_checkbox').on('click', onEnabledClick);
     $('#live2d_follow_cursor_checkbox').on('click', onFollowCursorClick);
     $('#live2d_auto_send_interaction_checkbox').on('click', onAutoSendInteractionClick);
+    $('#live2d_emotion_timeline_select').on('change', onEmotionTimelineChange);
+    $('#live2d_emotion_blend_count').on('input', onEmotionBlendChange);
+    $('#live2d_emotion_min_confidence').on('input', onEmotionBlendChange);
+    $('#live2d_llm_classify_endpoint').on('change', onLlmClassifyEndpointChange);
     $('#live2d_force_animation_checkbox').on('click', onForceAnimationClick);
     $('#live2d_force_loop_checkbox').on('click', onForceLoopClick);
     $('#live2d_show_frames_checkbox').on('click', onShowFramesClick);
-    $('#live2d_reload_button').on('click', () => {loadLive2d(); console.debug(DEBUG_PREFIX,'Reset clicked, reloading live2d');});
+    $('#live2d_reload_button').on('click', () => {resetModels(); console.debug(DEBUG_PREFIX,'Reset clicked, resetting live2d models');});
 
     $('#live2d_character_select').on('change', onCharacterChange);
     $('#live2d_character_refresh_button').on('click', onCharacterRefreshClick);
@@ -401,8 +519,14 @@ jQuery(async () => {
     $('#live2d_model_param_mouth_open_y_select').on('change', onModelMouthChange);
     $('#live2d_model_param_mouth_open_y_reset').on('click', () => {onModelParamResetClick('live2d_model_param_mouth_open_y_select', 'ParamMouthOpenY');});
     $('#live2d_model_param_mouth_open_y_delete').on('click', () => {onModelParamDeleteClick('live2d_model_param_mouth_open_y_select', 'ParamMouthOpenY');});
+    $('#live2d_model_param_mouth_form_select').on('change', onModelMouthChange);
+    $('#live2d_model_param_mouth_form_reset').on('click', () => {onModelParamResetClick('live2d_model_param_mouth_form_select', 'ParamMouthForm');});
+    $('#live2d_model_param_mouth_form_delete').on('click', () => {onModelParamDeleteClick('live2d_model_param_mouth_form_select', 'ParamMouthForm');});
     $('#live2d_model_mouth_open_speed').on('input', onModelMouthChange);
     $('#live2d_model_mouth_time_per_character').on('input', onModelMouthChange);
+    $('#live2d_model_lip_sync_gain').on('input', onModelLipSyncChange);
+    $('#live2d_model_lip_sync_noise_gate').on('input', onModelLipSyncChange);
+    $('#live2d_model_lip_sync_smoothing').on('input', onModelLipSyncChange);
 
     $('#live2d_model_param_angle_x_select').on('change', onModelParamChange);
     $('#live2d_model_param_angle_y_select').on('change', onModelParamChange);
@@ -439,6 +563,47 @@ jQuery(async () => {
     $('#live2d_default_expression_replay').on('click', () => {onAnimationMappingChange('animation_default');});
     $('#live2d_default_motion_replay').on('click', () => {onAnimationMappingChange('animation_default');});
 
+    $('#live2d_resting_expression_select').on('change', () => {onAnimationMappingChange('animation_resting');});
+    $('#live2d_resting_motion_select').on('change', () => {onAnimationMappingChange('animation_resting');});
+    $('#live2d_resting_expression_replay').on('click', () => {onAnimationMappingChange('animation_resting');});
+    $('#live2d_resting_motion_replay').on('click', () => {onAnimationMappingChange('animation_resting');});
+    $('#live2d_expression_decay_enabled').on('click', onExpressionDecayChange);
+    $('#live2d_expression_decay_hold').on('input', onExpressionDecayChange);
+
+    $('#live2d_classify_labels').on('change', onClassifyLabelsChange);
+    $('#live2d_classify_intensity_enabled').on('click', onClassifyIntensityChange);
+    $('#live2d_classify_intensity_full_score').on('input', onClassifyIntensityChange);
+    $('#live2d_classify_intensity_min_weight').on('input', onClassifyIntensityChange);
+    $('#live2d_classify_intensity_strong_score').on('input', onClassifyIntensityChange);
+    $('#live2d_classify_labels_reset').on('click', onClassifyLabelsResetClick);
+
+    $('#live2d_idle_scheduler_enabled').on('click', onIdleSchedulerChange);
+    $('#live2d_idle_scheduler_skip_talking').on('click', onIdleSchedulerChange);
+    $('#live2d_idle_scheduler_min_interval').on('input', onIdleSchedulerChange);
+    $('#live2d_idle_scheduler_max_interval').on('input', onIdleSchedulerChange);
+    $('#live2d_idle_scheduler_quiet_time').on('input', onIdleSchedulerChange);
+    $('#live2d_trigger_rule_add_button').on('click', onTriggerRuleAddClick);
+
+    $('#live2d_custom_expression_select').on('change', onCustomExpressionSelectChange);
+    $('#live2d_custom_expression_save_button').on('click', onCustomExpressionSaveClick);
+    $('#live2d_custom_expression_delete_button').on('click', onCustomExpressionDeleteClick);
+    $('#live2d_custom_expression_capture_button').on('click', onCustomExpressionCaptureClick);
+    $('#live2d_custom_expression_reset_button').on('click', onCustomExpressionResetClick);
+
+    $('#live2d_sequence_select').on('change', onSequenceSelectChange);
+    $('#live2d_sequence_save_button').on('click', onSequenceSaveClick);
+    $('#live2d_sequence_delete_button').on('click', onSequenceDeleteClick);
+    $('#live2d_sequence_preview_button').on('click', onSequencePreviewClick);
+    $('#live2d_sequence_add_step_button').on('click', onSequenceAddStepClick);
+
+    $('#live2d_recorder_add_button').on('click', onRecorderAddClick);
+    $('#live2d_recorder_record_button').on('click', onRecorderRecordClick);
+    $('#live2d_recorder_play_button').on('click', onRecorderPlayClick);
+    $('#live2d_recorder_download_button').on('click', onRecorderDownloadClick);
+    $('#live2d_recorded_motion_select').on('change', onRecordedMotionSelectChange);
+    $('#live2d_recorded_motion_save_button').on('click', onRecordedMotionSaveClick);
+    $('#live2d_recorded_motion_delete_button').on('click', onRecordedMotionDeleteClick);
+
     $('#live2d_hit_area_default_expression_select').on('change', () => {onAnimationMappingChange('animation_click');});
     $('#live2d_hit_area_default_motion_select').on('change', () => {onAnimationMappingChange('animation_click');});
     $('#live2d_hit_area_default_expression_replay').on('click', () => {onAnimationMappingChange('animation_click');});
@@ -454,6 +619,14 @@ jQuery(async () => {
     $('#live2d_auto_eye_fixation_max').on('input', onAutoEyeFixationMaxChange);
     $('#live2d_auto_breath_amplitude').on('input', onAutoBreathAmplitudeChange);
     $('#live2d_auto_breath_speed').on('input', onAutoBreathSpeedChange);
+
+    // Mood event handlers
+    $('#live2d_mood_enabled').on('click', onMoodEnabledClick);
+    $('#live2d_mood_influence').on('input', onMoodChange);
+    $('#live2d_mood_half_life').on('input', onMoodChange);
+    $('#live2d_mood_reset_button').on('click', onMoodResetClick);
+    for (const state of Object.keys(MOOD_IDLE_GROUPS_DEFAULT))
+        $(`#live2d_mood_idle_group_${state}`).on('change', () => {onMoodIdleGroupChange(state);});
     
     // Microsaccades event handlers
     $('#live2d_microsaccades_enabled').on('click', onMicrosaccadesEnabledClick);
@@ -462,6 +635,20 @@ jQuery(async () => {
     $('#live2d_microsaccade_duration').on('input', onMicrosaccadeDurationChange);
     $('#live2d_microsaccade_interval_min').on('input', onMicrosaccadeIntervalMinChange);
     $('#live2d_microsaccade_interval_max').on('input', onMicrosaccadeIntervalMaxChange);
+
+    // Auto animation profile event handlers
+    $('#live2d_auto_animation_preset_select').on('change', onAutoAnimationPresetChange);
+    $('#live2d_auto_animation_own_values').on('click', onAutoAnimationOwnValuesClick);
+    $('#live2d_auto_animation_preset_save_button').on('click', onAutoAnimationPresetSaveClick);
+    $('#live2d_auto_animation_preset_delete_button').on('click', onAutoAnimationPresetDeleteClick);
+
+    // Auto blink event handlers
+    $('#live2d_auto_blink_enabled').on('click', onAutoBlinkEnabledClick);
+    $('#live2d_auto_blink_on_gaze_shift').on('click', onAutoBlinkChange);
+    $('#live2d_auto_blink_close_curve').on('change', onAutoBlinkChange);
+    $('#live2d_auto_blink_open_curve').on('change', onAutoBlinkChange);
+    for (const setting of ['rate', 'double_chance', 'close_ms', 'open_ms', 'talking_multiplier'])
+        $(`#live2d_auto_blink_${setting}`).on('input', onAutoBlinkChange);
     
     $('#live2d_restart_animations_button').on('click', onRestartAnimationsClick);
     
@@ -497,6 +684,7 @@ jQuery(async () => {
     // Comment this out for now due to multiple models showing up at once
     //window.addEventListener('resize', () => {loadLive2d(); console.debug(DEBUG_PREFIX,'Window resized, reloading live2d');});
 
+    eventSource.on(event_types.CHAT_CHANGED, clearMoodCache);
     eventSource.on(event_types.CHAT_CHANGED, updateCharactersList);
     eventSource.on(event_types.CHAT_CHANGED, updateCharactersModels);
     eventSource.on(event_types.CHAT_CHANGED, playStarterAnimation);
@@ -506,11 +694,40 @@ jQuery(async () => {
 
     eventSource.on(event_types.MESSAGE_RECEIVED, (chat_id) => updateExpression(chat_id));
     eventSource.on(event_types.MESSAGE_RECEIVED, (chat_id) => playMessage(chat_id));
+
+    // Replay the message shown after swipes, edits and deletions
+    eventSource.on(event_types.MESSAGE_SWIPED, (chat_id) => replayMessage(chat_id));
+    eventSource.on(event_types.MESSAGE_EDITED, (chat_id) => replayMessage(chat_id));
+    eventSource.on(event_types.MESSAGE_DELETED, onMessageDeleted);
+
+    // Talk while the reply is streamed
+    eventSource.on(event_types.GENERATION_STARTED, resetStreamingTalk);
+    eventSource.on(event_types.STREAM_TOKEN_RECEIVED, (text) => playStreamingTalk(text));
+    eventSource.on(event_types.GENERATION_ENDED, () => endStreamingTalk());
+    eventSource.on(event_types.GENERATION_STOPPED, () => endStreamingTalk(true));
+
+    // Directives stay in the stored messages, hide them once rendered: the whole chat when it is loaded,
+    // the streamed message on each token, only the rendered or changed message otherwise
+    const hideRenderedDirectives = (selector) => setTimeout(() => {
+        const element = document.querySelector(selector);
+        if (element !== null)
+            hideDirectives(element);
+    }, 0);
+    eventSource.on(event_types.CHAT_CHANGED, () => hideRenderedDirectives('#chat'));
+    eventSource.on(event_types.STREAM_TOKEN_RECEIVED, () => hideRenderedDirectives('#chat .mes:last-child'));
+    for (const event of ['CHARACTER_MESSAGE_RENDERED', 'MESSAGE_EDITED', 'MESSAGE_UPDATED', 'MESSAGE_SWIPED']) {
+        if (event_types[event] !== undefined)
+            eventSource.on(event_types[event], (chat_id) => hideRenderedDirectives(`#chat .mes[mesid="${chat_id}"]`));
+    }
+
+    eventSource.on(SPEECH_EVENTS.START, (character, source) => beginSpeech(character, source));
+    eventSource.on(SPEECH_EVENTS.END, (character) => endSpeech(character));
     updateCharactersListOnce();
     updateCharactersModels();
 
     registerSlashCommand('live2dexpression', setExpressionSlashCommand, [], '<span class="monospace">(character="characterName" motion="motionGroup_id=motionId")</span> – play live2d model motion (example: /live2dmotion character="Shizuku" motion="tap_body_id=0" /live2dmotion character="Aqua" motion="_id=1"', true, true);
     registerSlashCommand('live2dmotion', setMotionSlashCommand, [], '<span class="monospace">(character="characterName" expression="expressionName")</span> – play live2d model motion (example: /live2dexpression character="Shizuku" expression="f01" /live2dexpression character="Aqua" expression="Happy"', true, true);
+    registerSlashCommand('live2dsequence', setSequenceSlashCommand, [], '<span class="monospace">(character="characterName" name="sequenceName")</span> – play a live2d model sequence (example: /live2dsequence character="Shizuku" name="greeting")', true, true);
     registerSlashCommand('live2dparameter', setParameterSlashCommand, [], '<span class="monospace">(character="characterName" id="parameterId" value="parameterValue")</span> – change live2d model parameter (example: /live2dparameter character="Shizuku" id="ParamBrowLY" value=0', true, true)
     registerSlashCommand('live2dresetparameters', resetParametersSlashCommand, [], '<span class="monospace">(character="characterName" id="parameterId" value="parameterValue")</span> – change live2d model parameter (example: /live2dparameter character="Shizuku" id="ParamBrowLY" value=0', true, true)
 
@@ -533,9 +750,11 @@ async function setExpressionSlashCommand(args) {
     //console.debug(DEBUG_PREFIX,"command argument",args);
 
     const character = args['character'].trim();
-    const expression = args['expression'].trim();
+    // expression="blush,tears" plays both expressions as layers
+    const expressions = args['expression'].split(',').map(name => name.trim()).filter(name => name.length > 0);
+    const expression = expressions.length == 1 ? expressions[0] : expressions;
 
-    console.debug(DEBUG_PREFIX, `Command expression received for ${character} ${expression}`);
+    console.debug(DEBUG_PREFIX, `Command expression received for ${character} ${expressions}`);
 
     await playExpression(character, expression);
 }
@@ -562,6 +781,26 @@ async function setMotionSlashCommand(args) {
     await playMotion(character, motion);
 }
 
+// Example /live2dsequence character="Xixuegi" name="greeting"
+async function setSequenceSlashCommand(args) {
+    if (args['character'] === undefined) {
+        console.log('No character provided');
+        return;
+    }
+
+    if (args['name'] === undefined) {
+        console.log('No sequence provided');
+        return;
+    }
+
+    const character = args['character'].trim();
+    const name = args['name'].trim();
+
+    console.debug(DEBUG_PREFIX, `Command sequence received for ${character} ${name}`);
+
+    await playSequence(character, name);
+}
+
 async function setParameterSlashCommand(args) {
 
     // TODO: Default to the current character
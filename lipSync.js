@@ -0,0 +1,101 @@
+/**
+ * Audio driven lip sync for Live2D characters
+ * Measures the loudness of a playing audio element (TTS) with a Web Audio analyser
+ * and converts it to a mouth open value using per-model gain, noise gate and smoothing.
+ */
+
+import { DEBUG_PREFIX, TTS_AUDIO_ID, LIP_SYNC_DEFAULT } from './constants.js';
+
+export {
+    findTtsAudio,
+    isAudioPlaying,
+    getLipSyncLevel,
+    resetLipSync,
+};
+
+let audioContext = null;
+
+// A media element can only be routed once through createMediaElementSource, keep its analyser for its lifetime
+const analysers = new WeakMap();
+
+// Last smoothed mouth value of each character
+const smoothedLevels = {};
+
+function findTtsAudio() {
+    return document.getElementById(TTS_AUDIO_ID);
+}
+
+function isAudioPlaying(audio) {
+    return audio !== null && audio !== undefined && !audio.paused && !audio.ended;
+}
+
+function getAnalyser(audio) {
+    if (analysers.has(audio))
+        return analysers.get(audio);
+
+    if (audioContext === null) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (AudioContextClass === undefined) {
+            console.debug(DEBUG_PREFIX, 'Web Audio is not supported, cannot analyse audio for lip sync');
+            return undefined;
+        }
+        audioContext = new AudioContextClass();
+    }
+
+    try {
+        const source = audioContext.createMediaElementSource(audio);
+        const analyser = audioContext.createAnalyser();
+        analyser.fftSize = 1024;
+        source.connect(analyser);
+        // Keep the audio audible, the element output now goes through the context
+        analyser.connect(audioContext.destination);
+
+        const entry = { analyser: analyser, buffer: new Float32Array(analyser.fftSize) };
+        analysers.set(audio, entry);
+        console.debug(DEBUG_PREFIX, 'Connected lip sync analyser to audio element', audio);
+        return entry;
+    } catch (error) {
+        console.debug(DEBUG_PREFIX, 'Cannot connect lip sync analyser to audio element:', error);
+        return undefined;
+    }
+}
+
+/**
+ * Computes the mouth open value of a character from the loudness of an audio element.
+ * @param {string} character Character name, used to keep the smoothing state.
+ * @param {HTMLMediaElement} audio Audio element currently playing the speech.
+ * @param {object} settings Model settings holding lip_sync_gain, lip_sync_noise_gate and lip_sync_smoothing.
+ * @returns {number} Mouth open value between 0 and 1.
+ */
+function getLipSyncLevel(character, audio, settings) {
+    const gain = settings['lip_sync_gain'] ?? LIP_SYNC_DEFAULT['lip_sync_gain'];
+    const noise_gate = settings['lip_sync_noise_gate'] ?? LIP_SYNC_DEFAULT['lip_sync_noise_gate'];
+    const smoothing = settings['lip_sync_smoothing'] ?? LIP_SYNC_DEFAULT['lip_sync_smoothing'];
+
+    let level = 0;
+    const entry = getAnalyser(audio);
+
+    if (entry !== undefined && isAudioPlaying(audio)) {
+        if (audioContext.state === 'suspended')
+            audioContext.resume();
+
+        // Root mean square of the current audio frame
+        entry.analyser.getFloatTimeDomainData(entry.buffer);
+        let sum = 0;
+        for (const sample of entry.buffer)
+            sum += sample * sample;
+        const rms = Math.sqrt(sum / entry.buffer.length);
+
+        level = rms < noise_gate ? 0 : Math.min(1, (rms - noise_gate) * gain);
+    }
+
+    const previous = smoothedLevels[character] ?? 0;
+    const smoothed = previous * smoothing + level * (1 - smoothing);
+    smoothedLevels[character] = smoothed;
+
+    return smoothed;
+}
+
+function resetLipSync(character) {
+    delete smoothedLevels[character];
+}
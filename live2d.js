@@ -1,17 +1,20 @@
-
-import { trimToEndSentence, trimToStartSentence } from '../../../utils.js';
-import { getRequestHeaders, saveSettings, saveSettingsDebounced, sendMessageAsUser } from '../../../../script.js';
-import { getContext, extension_settings, getApiUrl, doExtrasFetch, modules } from '../../../extensions.js';
+import { saveSettings, saveSettingsDebounced, sendMessageAsUser } from '../../../../script.js';
+import { getContext, extension_settings } from '../../../extensions.js';
 
 import {
     DEBUG_PREFIX,
     live2d,
-    FALLBACK_EXPRESSION,
     CANVAS_ID,
     delay,
     SPRITE_DIV,
     VN_MODE_DIV,
     ID_PARAM_PATCH,
+    LIP_SYNC_INTERVAL_MS,
+    VISEME_MAPPING_DEFAULT,
+    CLASSIFY_INTENSITY_DEFAULT,
+    SEQUENCE_PREFIX,
+    RECORDED_MOTION_PREFIX,
+    MOTION_OPTIONS_DEFAULT,
 } from './constants.js';
 
 import {
@@ -22,21 +25,118 @@ import {
     cleanupBodyMovement
 } from './bodyMovement.js';
 
+import {
+    findTtsAudio,
+    getLipSyncLevel,
+    resetLipSync,
+} from './lipSync.js';
+
+import {
+    textToVisemes,
+    getTimelineDuration,
+    getVisemeAt,
+} from './visemes.js';
+
+import {
+    splitMessageSegments,
+    getSegmentAt,
+} from './emotionTimeline.js';
+
+import {
+    getExpressionList,
+    isNativeExpression,
+    setBlendedExpressions,
+    clearBlendedExpressions,
+    attachExpressionBlending,
+    detachExpressionBlending,
+} from './expressions.js';
+
+import {
+    getClassifyLabels,
+} from './utils.js';
+
+import {
+    matchTriggerRule,
+} from './triggers.js';
+
+import {
+    parseDirectives,
+    stripDirectives,
+} from './directives.js';
+
+import {
+    classifyEmotions,
+} from './classify.js';
+
+import {
+    ANIMATION_PRIORITY,
+    enqueueAnimation,
+    isAnimationBusy,
+    isAnimationLooping,
+} from './animationQueue.js';
+
+import {
+    pickIdleGroup,
+    getIdleInterval,
+} from './idleScheduler.js';
+
+import {
+    updateMood,
+    getMoodState,
+    getMoodModifiers,
+} from './mood.js';
+
+import {
+    getBlinkInterval,
+    startBlink,
+    timeSinceLastBlink,
+    updateBlink,
+    attachBlinking,
+    detachBlinking,
+} from './blink.js';
+
+import {
+    attachTicker,
+    detachTicker,
+    addTickerTask,
+    removeTickerTask,
+    hasTickerTask,
+} from './animationTicker.js';
+
+import {
+    getAutoAnimationSetting,
+} from './animationProfiles.js';
+
 export {
     loadLive2d,
+    resetModel,
+    resetModels,
     updateExpression,
     rescaleModel,
     moveModel,
     removeModel,
     playExpression,
     playMotion,
+    playAnimation,
+    playSequence,
+    playRecordedMotion,
+    loadRecordedMotions,
+    playRestingAnimation,
+    applyMoodIdleGroup,
     playTalk,
     playMessage,
+    playStreamingTalk,
+    endStreamingTalk,
+    resetStreamingTalk,
+    replayMessage,
+    onMessageDeleted,
+    beginSpeech,
+    endSpeech,
+    bindTtsAudio,
     resetParameters,
     setParameter,
     setVisible,
     charactersWithModelLoaded,
-    forceLoopAnimation,
     startAutoAnimations,
     stopAutoAnimations,
     restartAutoAnimations,
@@ -50,15 +150,25 @@ let models = {};
 let app = null;
 let is_talking = {};
 let abortTalking = {};
+let speech_sources = {}; // Speech audio bound by beginSpeech for each character
+let streaming_texts = {}; // Text received so far of the reply streamed by each character
+let streamed_characters = {}; // Characters whose last reply was spoken while streaming
+let streaming_speaker = null; // Character generating the current reply, null when the generation is not spoken
+let talk_positions = {}; // Time spoken in the talk text of each character, in ms
+let talk_followers = {}; // Completion of the followers of the talk animation running for each character, by ticker task
+let decay_timers = {}; // Pending expression decay of each character
 let previous_interaction = { 'character': '', 'message': '' };
 let last_motion = {};
-let autoAnimationsRunning = {}; // Track which animations are running for each character
+let preview_motions = {}; // Recording previewed for each character, kept through model reloads
 
-const EXPRESSION_API = {
-    local: 0,
-    extras: 1,
-    llm: 2,
-};
+const VISEME_BLEND = 0.35; // Mouth interpolation toward the current viseme per tick, scaled by mouth_open_speed
+const MOUTH_ACTIVITY_THRESHOLD = 0.05; // Mouth opening considered as talking by the body movement
+const DIRECTIVES_DELAY_MS = 100; // Classified animation starts first, directives play over it
+const MOTION_TIMEOUT_MS = 30000; // Looping motions never finish, the animation queue moves on after that
+const UNSPOKEN_GENERATIONS = ['impersonate', 'quiet']; // Generation types not written by a character
+const AUTO_ANIMATIONS = ['breathing', 'eyeMovement', 'microsaccades', 'blinking']; // Animation ticker tasks of the auto animations
+const EYE_SACCADE_MS = 30; // Duration of the jump of the eyes to the next fixation point
+const BLINK_GAZE_SHIFT = 0.5; // Eye movements longer than that come with a blink
 
 async function onHitAreasClick(character, hitAreas) {
     const model_path = extension_settings.live2d.characterModelMapping[character];
@@ -66,6 +176,7 @@ async function onHitAreasClick(character, hitAreas) {
     const model_hit_areas = model.internalModel.hitAreas;
     let model_expression;
     let model_motion;
+    let motion_options;
     let message;
 
     if (model.is_dragged) {
@@ -106,12 +217,14 @@ async function onHitAreasClick(character, hitAreas) {
         console.debug(DEBUG_PREFIX,'No hit area with mapping found, fallback to default click behavior:',extension_settings.live2d.characterModelsSettings[character][model_path]['animation_click']);
         model_expression = extension_settings.live2d.characterModelsSettings[character][model_path]['animation_click']['expression'];
         model_motion = extension_settings.live2d.characterModelsSettings[character][model_path]['animation_click']['motion'];
+        motion_options = extension_settings.live2d.characterModelsSettings[character][model_path]['animation_click']['motion_options'];
         message = extension_settings.live2d.characterModelsSettings[character][model_path]['animation_click']['message'];
     }
     else {
         console.debug(DEBUG_PREFIX,'Highest priority area with mapping found:', selected_area,extension_settings.live2d.characterModelsSettings[character][model_path]['hit_areas'][selected_area]);
         model_expression = extension_settings.live2d.characterModelsSettings[character][model_path]['hit_areas'][selected_area]['expression'];
         model_motion = extension_settings.live2d.characterModelsSettings[character][model_path]['hit_areas'][selected_area]['motion'];
+        motion_options = extension_settings.live2d.characterModelsSettings[character][model_path]['hit_areas'][selected_area]['motion_options'];
         message = extension_settings.live2d.characterModelsSettings[character][model_path]['hit_areas'][selected_area]['message'];
     }
 
@@ -135,16 +248,8 @@ async function onHitAreasClick(character, hitAreas) {
     else
         console.debug(DEBUG_PREFIX,'Mapped message empty, nothing to send.');
 
-    if (model_expression != 'none') {
-        await playExpression(character, model_expression);
-        console.debug(DEBUG_PREFIX,'Playing hit area expression', model_expression);
-    }
-
-    if (model_motion != 'none') {
-        //model.internalModel.motionManager.stopAllMotions();
-        await playMotion(character,model_motion);
-        console.debug(DEBUG_PREFIX,'Playing hit area motion', model_motion);
-    }
+    console.debug(DEBUG_PREFIX,'Playing hit area animation', model_expression, model_motion);
+    await playAnimation(character, model_expression, model_motion, ANIMATION_PRIORITY.click, false, motion_options);
 }
 
 async function onClick(model, x, y) {
@@ -225,6 +330,9 @@ async function loadLive2d(visible = true) {
 
     // Delete live2d models from memory
     for (const character in models) {
+        detachExpressionBlending(character);
+        detachBlinking(character);
+        detachTicker(character);
         models[character].destroy(true, true, true);
         delete models[character];
         console.debug(DEBUG_PREFIX,'Delete model from memory for', character);
@@ -300,6 +408,7 @@ async function loadLive2d(visible = true) {
         const model = m;
         model.st_character = character;
         model.st_model_path = model_path;
+        model.st_idle_group = model.internalModel.motionManager.groups.idle; // Restored when the mood is neutral
         model.is_dragged = false;
         console.debug(DEBUG_PREFIX,'loaded',model);
 
@@ -342,6 +451,12 @@ async function loadLive2d(visible = true) {
 
         models[character] = model;
         app.stage.addChild(model);
+        attachExpressionBlending(character, model);
+        attachTicker(character, model);
+        applyMoodIdleGroup(character);
+        loadRecordedMotions(character);
+        attachMotionSpeed(model);
+        model.internalModel.motionManager.on('motionFinish', () => setTimeout(() => forceLoopAnimation(character, model)));
 
         const scaleY = ((innerHeight) / model.height) * extension_settings.live2d.characterModelsSettings[character][model_path]['scale'];
 
@@ -368,6 +483,9 @@ async function loadLive2d(visible = true) {
         
         // Start body movement system
         startBodyMovement(character, model, model_path);
+
+        // Start weighted idle motions
+        scheduleIdleMotions(character);
         
         console.debug(DEBUG_PREFIX, 'Finished loading model:', model);
     }
@@ -389,81 +507,489 @@ async function updateExpression(chat_id) {
         return;
     }
 
-    const expression = await getExpressionLabel(message.mes);
-    let model_expression = extension_settings.live2d.characterModelsSettings[character][model_path]['classify_mapping'][expression]['expression'];
-    let model_motion = extension_settings.live2d.characterModelsSettings[character][model_path]['classify_mapping'][expression]['motion'];
+    const time_per_character = extension_settings.live2d.characterModelsSettings[character][model_path]['mouth_time_per_character'];
+
+    // Directives are neither spoken nor classified
+    const { text, directives } = parseDirectives(message.mes, time_per_character);
+    if (directives.length > 0)
+        console.debug(DEBUG_PREFIX,'Directives in message:',directives);
+
+    // Classify each sentence/paragraph and change emotion while talking
+    const timeline_mode = extension_settings.live2d.emotionTimeline ?? 'off';
+    const segments = timeline_mode != 'off' ? splitMessageSegments(text, timeline_mode, time_per_character) : [];
+    if (segments.length > 1) {
+        const analyses = await Promise.all(segments.map(segment => analyseText(character, segment.text)));
+        updateMood(character, analyses.flatMap(analysis => analysis.emotions));
+        applyMoodIdleGroup(character);
+        await Promise.all([playEmotionTimeline(character, segments, analyses), playDirectives(character, directives)]);
+        return;
+    }
+
+    const { emotions, rule } = await analyseText(character, text);
+    console.debug(DEBUG_PREFIX,'Detected emotions in message:',emotions);
+    updateMood(character, emotions);
+    applyMoodIdleGroup(character);
+    playClassifiedAnimation(character, emotions, rule);
+    scheduleExpressionDecay(character, emotions[0]?.label);
+
+    await playDirectives(character, directives);
+}
+
+/**
+ * Finds the emotions of a text: the trigger rule matching it and the classified emotions,
+ * the classifier is not called when the rule overrides it.
+ * @param {string} character Character name.
+ * @param {string} text Text to analyse.
+ * @returns {Promise<{emotions: {label: string, score: number}[], rule: object|undefined}>}
+ */
+async function analyseText(character, text) {
+    const model_path = extension_settings.live2d.characterModelMapping[character];
+    const rules = extension_settings.live2d.characterModelsSettings[character][model_path]['trigger_rules'] ?? [];
+    const rule = matchTriggerRule(rules, text);
+
+    if (rule !== undefined)
+        console.debug(DEBUG_PREFIX,'Trigger rule matched:',rule);
+
+    if (rule?.['mode'] == 'override')
+        return { 'emotions': [], 'rule': rule };
+
+    return { 'emotions': await classifyEmotions(text, getClassifyLabels(character, model_path)), 'rule': rule };
+}
 
-    console.debug(DEBUG_PREFIX,'Detected expression in message:',expression);
+// Weight of a classified expression from the classifier score, when confidence drives intensity
+function getIntensityWeight(score, intensity) {
+    const weight = intensity['full_score'] > 0 ? score / intensity['full_score'] : 1;
+    return Math.max(intensity['min_weight'], Math.min(1, weight));
+}
 
-    // Fallback animations
-    if (model_expression == 'none') {
-        console.debug(DEBUG_PREFIX,'Expression is none, applying default expression', model_expression);
-        model_expression = extension_settings.live2d.characterModelsSettings[character][model_path]['animation_default']['expression'];
+/**
+ * Plays the expressions and motion mapped to classified emotions, falls back to the default animation.
+ * Several emotions blend their expressions weighted by their score relative to the strongest one,
+ * the motion is the one of the strongest emotion. When confidence drives intensity, the weights come
+ * from the scores themselves and a confident strongest emotion plays its strong motion.
+ * @param {string} character Character name.
+ * @param {{label: string, score: number}[]} emotions Emotions selected by classifyEmotions, strongest first. Empty for the default animation.
+ * @param {object} [rule] Matching trigger rule, replaces the classified animation or is added to it.
+ * @returns {Promise<string>} Completion of the animation, see enqueueAnimation.
+ */
+async function playClassifiedAnimation(character, emotions, rule = undefined) {
+    const model_path = extension_settings.live2d.characterModelMapping[character];
+    if (models[character] === undefined || model_path === undefined)
+        return 'dropped';
+
+    const model_settings = extension_settings.live2d.characterModelsSettings[character][model_path];
+    const mapping = model_settings['classify_mapping'];
+    const intensity = model_settings['classify_intensity'] ?? CLASSIFY_INTENSITY_DEFAULT;
+    const expressions = [];
+    let model_motion = 'none';
+    let motion_options;
+
+    const override = rule?.['mode'] == 'override';
+
+    // Every layer of an emotion mapping takes the emotion weight
+    for (const emotion of emotions) {
+        const weight = intensity['enabled'] ? getIntensityWeight(emotion.score, intensity) : emotion.score / emotions[0].score;
+        for (const model_expression of getExpressionList(mapping[emotion.label]?.['expression'])) {
+            if (!expressions.some(entry => entry.expression == model_expression))
+                expressions.push({ 'expression': model_expression, 'weight': weight });
+        }
     }
 
-    if (model_motion == 'none') {
-        console.debug(DEBUG_PREFIX,'Motion is none, playing default motion',model_motion);
-        model_motion = extension_settings.live2d.characterModelsSettings[character][model_path]['animation_default']['motion'];
+    if (emotions.length > 0) {
+        const top_mapping = mapping[emotions[0].label];
+        model_motion = top_mapping?.['motion'] ?? 'none';
+        motion_options = top_mapping?.['motion_options'];
+
+        if (intensity['enabled'] && emotions[0].score >= intensity['strong_score'] && (top_mapping?.['motion_strong'] ?? 'none') != 'none') {
+            console.debug(DEBUG_PREFIX,'Confident',emotions[0].label,', playing strong motion');
+            model_motion = top_mapping['motion_strong'];
+        }
     }
 
-    console.debug(DEBUG_PREFIX,'Playing expression',expression,':', model_expression, model_motion);
+    // Trigger rule animation first, the classified motion is replaced
+    if (rule !== undefined) {
+        if (rule['expression'] != 'none' && !expressions.some(entry => entry.expression == rule['expression']))
+            expressions.unshift({ 'expression': rule['expression'], 'weight': 1 });
+        if (rule['motion'] != 'none') {
+            model_motion = rule['motion'];
+            motion_options = rule['motion_options'];
+        }
+    }
 
-    if (model_expression != 'none') {
-        models[character].expression(model_expression);
+    // Fallback animations, an overriding rule only plays what it sets
+    if (expressions.length == 0 && !override) {
+        console.debug(DEBUG_PREFIX,'Expression is none, applying default expression');
+        for (const model_expression of getExpressionList(model_settings['animation_default']['expression']))
+            expressions.push({ 'expression': model_expression, 'weight': 1 });
     }
 
-    if (model_motion != 'none') {
-        await playMotion(character, model_motion);
+    if (model_motion == 'none' && !override) {
+        console.debug(DEBUG_PREFIX,'Motion is none, playing default motion');
+        model_motion = model_settings['animation_default']['motion'];
+        motion_options = model_settings['animation_default']['motion_options'];
     }
+
+    console.debug(DEBUG_PREFIX,'Playing emotions',emotions,':', expressions, model_motion);
+
+    return enqueueAnimation(character, getMotionPriority(motion_options, ANIMATION_PRIORITY.classified), async (interrupted, loop) => {
+        // A single expression at full weight is left to the model expression manager
+        if (expressions.length > 1 || (expressions.length == 1 && expressions[0].weight < 1)) {
+            await setBlendedExpressions(character, expressions, model_settings['expression_layers']);
+        }
+        else if (expressions.length == 1) {
+            await startExpression(character, expressions[0].expression);
+        }
+
+        if (model_motion != 'none' && !interrupted()) {
+            await startMotion(character, model_motion, false, interrupted, getMotionOptions(motion_options), loop);
+        }
+    }, `classified ${emotions[0]?.label ?? 'default'}`);
+}
+
+/**
+ * Starts the decay of a classified expression: after the model hold time, the expression steps to the next
+ * emotion set in the decay steps, or to the resting animation. A new classified expression restarts it.
+ * @param {string} character Character name.
+ * @param {string} [label] Emotion currently shown, undefined when the default animation is shown.
+ * @param {string[]} [visited] Emotions already shown by this decay, stops step cycles.
+ */
+function scheduleExpressionDecay(character, label, visited = []) {
+    clearTimeout(decay_timers[character]);
+    delete decay_timers[character];
+
+    const model_path = extension_settings.live2d.characterModelMapping[character];
+    const decay = extension_settings.live2d.characterModelsSettings[character]?.[model_path]?.['expression_decay'];
+    if (models[character] === undefined || decay === undefined || !decay['enabled'])
+        return;
+
+    decay_timers[character] = setTimeout(async () => {
+        delete decay_timers[character];
+        const next = decay['steps'][label];
+        const mapping = extension_settings.live2d.characterModelsSettings[character]?.[model_path]?.['classify_mapping'];
+
+        if (label !== undefined && next !== undefined && getClassifyLabels(character, model_path).includes(next) && mapping?.[next] !== undefined && !visited.includes(next)) {
+            console.debug(DEBUG_PREFIX,'Expression of',character,'decays from',label,'to',next);
+            playClassifiedAnimation(character, [{ 'label': next, 'score': 1 }]);
+            scheduleExpressionDecay(character, next, [...visited, label]);
+            return;
+        }
+
+        console.debug(DEBUG_PREFIX,'Expression of',character,'decays from',label,'to resting animation');
+        playRestingAnimation(character);
+    }, decay['hold'] * 1000);
+}
+
+// Fades the character back to the resting animation, neutral face when no resting expression is set
+async function playRestingAnimation(character) {
+    const model_path = extension_settings.live2d.characterModelMapping[character];
+    if (models[character] === undefined || model_path === undefined)
+        return 'dropped';
+
+    const resting = extension_settings.live2d.characterModelsSettings[character][model_path]['animation_resting'] ?? { 'expression': 'none', 'motion': 'none' };
+
+    return enqueueAnimation(character, getMotionPriority(resting['motion_options'], ANIMATION_PRIORITY.idle), async (interrupted, loop) => {
+        if (resting['expression'] != 'none') {
+            await startExpression(character, resting['expression']);
+        }
+        else if (models[character] !== undefined) {
+            clearBlendedExpressions(character);
+            models[character].internalModel.motionManager.expressionManager?.resetExpression();
+        }
+
+        if (resting['motion'] != 'none' && !interrupted())
+            await startMotion(character, resting['motion'], false, interrupted, getMotionOptions(resting['motion_options']), loop);
+    }, 'resting');
 }
 
-async function getExpressionLabel(text) {
-    // Return if text is undefined, saving a costly fetch request
-    if ((!modules.includes('classify') && extension_settings.expressions.api === EXPRESSION_API.extras) || !text) {
-        return FALLBACK_EXPRESSION;
+/**
+ * Adds the recorded motions of the model settings to the loaded model, each as the motion group recorded:<name>.
+ * The previewed recording is the group recorded: without name.
+ * @param {string} character Character name.
+ */
+function loadRecordedMotions(character) {
+    const model = models[character];
+    const model_path = extension_settings.live2d.characterModelMapping[character];
+    if (model === undefined || model_path === undefined)
+        return;
+
+    const motion_manager = model.internalModel.motionManager;
+    // Motion3 json is the Cubism 3+ format, Cubism 2 models use .mtn files
+    if (motion_manager.motionDataType != 'json') {
+        console.debug(DEBUG_PREFIX,'Model of',character,'cannot play recorded motions');
+        return;
     }
 
-    text = sampleClassifyText(text);
+    const recorded_motions = { ...(extension_settings.live2d.characterModelsSettings[character]?.[model_path]?.['recorded_motions'] ?? {}) };
+    if (preview_motions[character] !== undefined)
+        recorded_motions[''] = preview_motions[character];
 
-    try {
-        // TODO: proper LLM classification
-        if (extension_settings.expressions.api === EXPRESSION_API.local || extension_settings.api === EXPRESSION_API.llm) {
-            // Local transformers pipeline
-            const apiResult = await fetch('/api/extra/classify', {
-                method: 'POST',
-                headers: getRequestHeaders(),
-                body: JSON.stringify({ text: text }),
-            });
-
-            if (apiResult.ok) {
-                const data = await apiResult.json();
-                return data.classification[0].label;
-            }
-        } else if (extension_settings.expressions.api === EXPRESSION_API.extras) {
-            // Extras
-            const url = new URL(getApiUrl());
-            url.pathname = '/api/classify';
-
-            const apiResult = await doExtrasFetch(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Bypass-Tunnel-Reminder': 'bypass',
-                },
-                body: JSON.stringify({ text: text }),
-            });
-
-            if (apiResult.ok) {
-                const data = await apiResult.json();
-                return data.classification[0].label;
+    // Removes deleted motions
+    for (const group of Object.keys(motion_manager.definitions)) {
+        if (group.startsWith(RECORDED_MOTION_PREFIX) && recorded_motions[group.slice(RECORDED_MOTION_PREFIX.length)] === undefined) {
+            delete motion_manager.definitions[group];
+            delete motion_manager.motionGroups[group];
+        }
+    }
+
+    // Motions are created from the saved json, no file is ever fetched
+    for (const name in recorded_motions) {
+        const group = RECORDED_MOTION_PREFIX + name;
+        const definition = { 'File': `${name || 'preview'}.motion3.json` };
+        motion_manager.definitions[group] = [definition];
+        motion_manager.motionGroups[group] = [motion_manager.createMotion(recorded_motions[name], group, definition)];
+    }
+}
+
+/**
+ * Plays a motion3 json on the model of a character without saving it, through its animation queue.
+ * @param {string} character Character name.
+ * @param {object} motion Motion3 json.
+ * @param {number} priority One of ANIMATION_PRIORITY.
+ * @returns {Promise<string>} Completion of the animation, see enqueueAnimation.
+ */
+async function playRecordedMotion(character, motion, priority = ANIMATION_PRIORITY.script) {
+    if (models[character] === undefined)
+        return 'dropped';
+
+    preview_motions[character] = motion;
+    loadRecordedMotions(character);
+
+    return playAnimation(character, 'none', RECORDED_MOTION_PREFIX + '_id=0', priority);
+}
+
+/**
+ * Plays weighted idle motions at random intervals while the character is neither talking nor reacting.
+ * When the time comes, the picked motion group becomes the idle group of the model, which starts it once its running
+ * motion ends, then the mood or model idle group is back. Runs on the animation ticker until the model is replaced.
+ * @param {string} character Character name.
+ */
+function scheduleIdleMotions(character) {
+    const model = models[character];
+    const motion_manager = model.internalModel.motionManager;
+    const scheduler = { 'next_time': undefined, 'last_busy': 0, 'playing': false };
+
+    const cancelPick = () => {
+        if (model.st_idle_pick === undefined)
+            return;
+        model.st_idle_pick = undefined;
+        applyMoodIdleGroup(character);
+    };
+
+    // The model started the picked group, its own idle motions follow this one
+    motion_manager.on('motionStart', (group) => {
+        if (model.st_idle_pick === undefined || group !== model.st_idle_pick)
+            return;
+        console.debug(DEBUG_PREFIX,'Idle motion of',character,'from group',group);
+        scheduler.playing = true;
+        cancelPick();
+    });
+    motion_manager.on('motionFinish', () => {
+        if (scheduler.playing) {
+            scheduler.playing = false;
+            scheduler.next_time = undefined;
+        }
+    });
+
+    addTickerTask(character, 'idleMotions', () => {
+        const settings = extension_settings.live2d.characterModelsSettings[character]?.[model.st_model_path]?.['idle_scheduler'];
+        const weights = settings?.['group_weights'] ?? {};
+        const now = Date.now();
+
+        // Without weights, idle motions come from the idle group of the model or of its mood alone
+        if (settings === undefined || !settings['enabled'] || !Object.values(weights).some(weight => weight > 0)) {
+            scheduler.next_time = undefined;
+            cancelPick();
+        }
+        else if (isAnimationBusy(character) || (settings['skip_talking'] && is_talking[character])) {
+            scheduler.last_busy = now;
+            cancelPick();
+        }
+        else if (scheduler.playing || model.st_idle_pick !== undefined) {
+            // Picked motion not over yet
+        }
+        else if (scheduler.next_time === undefined) {
+            scheduler.next_time = now + getIdleInterval(settings);
+        }
+        else if (now >= scheduler.next_time && now - scheduler.last_busy >= settings['quiet_time'] * 1000) {
+            const group = pickIdleGroup(weights, Object.keys(motion_manager.definitions ?? {}));
+            scheduler.next_time = undefined;
+
+            if (group !== undefined && motion_manager.definitions?.[group] !== undefined) {
+                model.st_idle_pick = group;
+                applyMoodIdleGroup(character);
             }
-        } else {
-            return FALLBACK_EXPRESSION;
         }
-    } catch (error) {
-        console.log(error);
-        return FALLBACK_EXPRESSION;
+    });
+}
+
+// Idle motions of the character come from the motion group mapped to its mood state, or the group picked by the idle scheduler
+function applyMoodIdleGroup(character) {
+    const model = models[character];
+    const model_path = extension_settings.live2d.characterModelMapping[character];
+    if (model === undefined || model_path === undefined)
+        return;
+
+    const state = getMoodState(character);
+    const group = extension_settings.live2d.characterModelsSettings[character][model_path]['mood_idle_groups']?.[state] ?? 'none';
+    const motion_manager = model.internalModel.motionManager;
+    const mood_group = group != 'none' && motion_manager.definitions?.[group] !== undefined ? group : model.st_idle_group;
+    const idle_group = model.st_idle_pick ?? mood_group;
+
+    if (motion_manager.groups.idle != idle_group) {
+        console.debug(DEBUG_PREFIX,'Mood of',character,'is',state,', idle motion group',idle_group);
+        motion_manager.groups.idle = idle_group;
+    }
+}
+
+/**
+ * Returns the time reached in the talk animation of a character, followed by emotion timelines and directives.
+ * Without talk animation running, the time follows the own clock of the follower.
+ * @param {string} character Character name.
+ * @param {{start_time: number, talk_started: boolean}} follower Clock of the follower.
+ * @returns {number|undefined} Talk time in ms, undefined once the followed talk animation ended.
+ */
+function getTalkTime(character, follower) {
+    if (is_talking[character]) {
+        follower.talk_started = true;
+        return talk_positions[character] ?? 0;
+    }
+
+    if (follower.talk_started)
+        return undefined;
+
+    return Date.now() - follower.start_time;
+}
+
+/**
+ * Follows the talk animation of a character on each frame of its model, a newer follower of the same name replaces it.
+ * @param {string} character Character name.
+ * @param {string} name Ticker task of the follower, one of TICKER_ORDER.
+ * @param {function(number|undefined, object): boolean} step Called each frame with the talk time (see getTalkTime)
+ * and the follower clock, returns false when the follower is done.
+ * @returns {Promise<void>} Resolved when the follower is done, replaced or has no model to follow.
+ */
+function followTalk(character, name, step) {
+    talk_followers[character]?.[name]?.();
+
+    return new Promise(resolve => {
+        const follower = { 'start_time': Date.now(), 'talk_started': false };
+        const done = () => {
+            if (talk_followers[character]?.[name] === done)
+                delete talk_followers[character][name];
+            resolve();
+        };
+
+        const added = addTickerTask(character, name, () => {
+            if (step(getTalkTime(character, follower), follower))
+                return true;
+            done();
+            return false;
+        });
+
+        if (!added) {
+            resolve();
+            return;
+        }
+        talk_followers[character] = { ...talk_followers[character], [name]: done };
+    });
+}
+
+/**
+ * Plays the animation of each classified segment of a reply when the talk animation reaches it.
+ * @param {string} character Character name.
+ * @param {object[]} segments Segments built by splitMessageSegments.
+ * @param {{emotions: object[], rule: object|undefined}[]} analyses Emotions and trigger rule of each segment, from analyseText.
+ * @returns {Promise<void>} Resolved when the last segment is reached, the talk ended or a newer timeline replaced this one.
+ */
+function playEmotionTimeline(character, segments, analyses) {
+    console.debug(DEBUG_PREFIX,'Emotion timeline of',character,':',segments.map((segment, i) => [segment.start, analyses[i]]));
+
+    let current = -1;
+
+    return followTalk(character, 'emotionTimeline', (time, follower) => {
+        if (time === undefined)
+            return false;
+
+        const segment = getSegmentAt(segments, time);
+        if (segment != current) {
+            current = segment;
+            const { emotions, rule } = analyses[segment];
+            console.debug(DEBUG_PREFIX,'Emotion timeline of',character,'segment',segment,':',emotions,rule);
+            playClassifiedAnimation(character, emotions, rule);
+            scheduleExpressionDecay(character, emotions[0]?.label);
+        }
+
+        return follower.talk_started || current != segments.length - 1;
+    });
+}
+
+/**
+ * Plays the inline directives of a reply when the talk animation reaches them.
+ * Directives left when the talk ends are played right away, the directives of a newer message replace them.
+ * @param {string} character Character name.
+ * @param {object[]} directives Directives built by parseDirectives.
+ * @returns {Promise<void>} Resolved when every directive was played or replaced.
+ */
+async function playDirectives(character, directives) {
+    if (directives.length == 0)
+        return;
+
+    let next = 0;
+    let last_time = 0;
+
+    return followTalk(character, 'directives', (talk_time, follower) => {
+        if (Date.now() - follower.start_time < DIRECTIVES_DELAY_MS)
+            return true;
+
+        const time = talk_time ?? Infinity;
+
+        // Talk went back (speech audio restarted), directives follow it
+        if (time < last_time)
+            next = directives.findIndex(directive => directive.start > time);
+        last_time = time;
+
+        while (next >= 0 && next < directives.length && directives[next].start <= time) {
+            playDirective(character, directives[next]);
+            next++;
+        }
+
+        return next >= 0 && next < directives.length;
+    });
+}
+
+async function playDirective(character, directive) {
+    const model = models[character];
+    let expression = directive['expression'];
+    let motion = directive['motion'];
+
+    // Short form, expression or motion group of the model with that name
+    if (directive['name'] !== undefined) {
+        const name = directive['name'];
+        const model_path = extension_settings.live2d.characterModelMapping[character];
+        const custom_expressions = extension_settings.live2d.characterModelsSettings[character]?.[model_path]?.['custom_expressions'] ?? {};
+        const sequences = extension_settings.live2d.characterModelsSettings[character]?.[model_path]?.['sequences'] ?? {};
+        const motion_groups = Object.keys(model.internalModel.motionManager.definitions ?? {});
+
+        if (isNativeExpression(model, name) || custom_expressions[name] !== undefined)
+            expression = name;
+        else if (sequences[name] !== undefined)
+            motion = SEQUENCE_PREFIX + name;
+        else if (motion_groups.includes(name))
+            motion = name + '_id=random';
+        else if (name.includes('_id='))
+            motion = name;
+        else
+            console.debug(DEBUG_PREFIX,'No expression or motion group named',name,'for',character);
     }
+
+    console.debug(DEBUG_PREFIX,'Playing directive of',character,':',directive);
+
+    const played = playAnimation(character, expression ?? 'none', motion ?? 'none', ANIMATION_PRIORITY.script);
+
+    if (expression !== undefined && expression != 'none')
+        scheduleExpressionDecay(character);
+
+    return played;
 }
 
 function moveModel(character, x, y) {
@@ -495,7 +1021,10 @@ async function removeModel(character) {
         
         // БАГ 4 FIX: Очищаем состояние движения тела из памяти
         cleanupBodyMovement(character);
-        
+
+        detachExpressionBlending(character);
+        detachBlinking(character);
+        detachTicker(character);
         models[character].destroy(true, true, true);
         delete models[character];
         console.debug(DEBUG_PREFIX,'Delete model from memory for', character);
@@ -503,43 +1032,153 @@ async function removeModel(character) {
 }
 
 /**
- * Processes the classification text to reduce the amount of text sent to the API.
- * Quotes and asterisks are to be removed. If the text is less than 300 characters, it is returned as is.
- * If the text is more than 300 characters, the first and last 150 characters are returned.
- * The result is trimmed to the end of sentence.
- * @param {string} text The text to process.
- * @returns {string}
+ * Plays an expression and/or a motion of a character through its animation queue.
+ * @param {string} character Character name.
+ * @param {string|string[]} expression Expression name, list of expressions played as layers or 'none'.
+ * @param {string} motion Motion as group_id=index, group_id=random, scene:sequence or 'none'.
+ * @param {number} priority One of ANIMATION_PRIORITY, replaced by the priority of the motion options when they set one.
+ * @param {boolean} [force] Reset the model before the motion.
+ * @param {object} [motion_options] Playback options of the motion, see MOTION_OPTIONS_DEFAULT.
+ * @returns {Promise<string>} Completion of the animation, see enqueueAnimation.
  */
-function sampleClassifyText(text) {
-    if (!text) {
-        return text;
-    }
+async function playAnimation(character, expression, motion, priority = ANIMATION_PRIORITY.script, force = false, motion_options = undefined) {
+    const expressions = getExpressionList(expression);
+    if (models[character] === undefined || (expressions.length == 0 && motion == 'none'))
+        return 'dropped';
 
-    // Remove asterisks and quotes
-    let result = text.replace(/[\*\"]/g, '');
+    const options = getMotionOptions(motion_options);
 
-    const SAMPLE_THRESHOLD = 300;
-    const HALF_SAMPLE_THRESHOLD = SAMPLE_THRESHOLD / 2;
+    return enqueueAnimation(character, getMotionPriority(options, priority), async (interrupted, loop) => {
+        if (expressions.length > 0)
+            await startExpression(character, expressions);
 
-    if (text.length < SAMPLE_THRESHOLD) {
-        result = trimToEndSentence(result);
-    } else {
-        result = trimToEndSentence(result.slice(0, HALF_SAMPLE_THRESHOLD)) + ' ' + trimToStartSentence(result.slice(-HALF_SAMPLE_THRESHOLD));
-    }
+        if (motion != 'none' && !interrupted())
+            await startMotion(character, motion, force, interrupted, options, loop);
+    }, [...expressions, motion].filter(name => name != 'none').join(' '));
+}
 
-    return result.trim();
+async function playExpression(character, expression, priority = ANIMATION_PRIORITY.script) {
+    return playAnimation(character, expression, 'none', priority);
 }
 
-async function playExpression(character, expression) {
+async function playMotion(character, motion, force = false, priority = ANIMATION_PRIORITY.script, motion_options = undefined) {
+    return playAnimation(character, 'none', motion, priority, force, motion_options);
+}
+
+// Playback options of a mapping, mappings saved before motion options play their motion once as before
+function getMotionOptions(motion_options) {
+    return { ...MOTION_OPTIONS_DEFAULT, ...(motion_options ?? {}) };
+}
+
+// Queue priority of a mapped motion, its options can replace the priority of the mapping kind
+function getMotionPriority(motion_options, priority) {
+    return ANIMATION_PRIORITY[motion_options?.['priority']] ?? priority;
+}
+
+// Plays an expression, or several expressions as layers. Custom expressions are always layers, the model does not know them
+async function startExpression(character, expression) {
     if (models[character] === undefined)
         return;
 
     const model = models[character];
-    console.debug(DEBUG_PREFIX,character,'playing expression',expression);
-    await model.expression(expression);
+    const expressions = getExpressionList(expression);
+    console.debug(DEBUG_PREFIX,character,'playing expression',expressions);
+
+    if (expressions.length > 1 || (expressions.length == 1 && !isNativeExpression(model, expressions[0]))) {
+        const model_path = extension_settings.live2d.characterModelMapping[character];
+        const layers = extension_settings.live2d.characterModelsSettings[character]?.[model_path]?.['expression_layers'];
+        await setBlendedExpressions(character, expressions.map(name => ({ 'expression': name, 'weight': 1 })), layers);
+        return;
+    }
+
+    clearBlendedExpressions(character);
+    if (expressions.length == 1)
+        await model.expression(expressions[0]);
+}
+
+/**
+ * Waits for the motion started on the model to finish. Called once the motion started, any later motionStart is another motion.
+ * @param {object} model Live2D model.
+ * @returns {Promise<boolean>} False when another motion replaced it.
+ */
+function waitMotionFinish(model) {
+    const motion_manager = model.internalModel.motionManager;
+
+    return new Promise(resolve => {
+        const finish = (finished) => {
+            clearTimeout(timeout);
+            motion_manager.off('motionFinish', onFinish);
+            motion_manager.off('motionStart', onStart);
+            resolve(finished);
+        };
+        const onFinish = () => finish(true);
+        const onStart = () => finish(false);
+        const timeout = setTimeout(onFinish, MOTION_TIMEOUT_MS);
+        motion_manager.on('motionFinish', onFinish);
+        motion_manager.on('motionStart', onStart);
+    });
+}
+
+/**
+ * Plays a sequence of expressions, motions and pauses through the animation queue of a character.
+ * @param {string} character Character name.
+ * @param {string|object[]} sequence Name of a sequence of the model or its steps.
+ * @param {number} priority One of ANIMATION_PRIORITY.
+ * @returns {Promise<string>} Completion of the sequence, see enqueueAnimation.
+ */
+async function playSequence(character, sequence, priority = ANIMATION_PRIORITY.script) {
+    if (models[character] === undefined)
+        return 'dropped';
+
+    return enqueueAnimation(character, priority, (interrupted) => runSequence(character, sequence, interrupted), `sequence ${Array.isArray(sequence) ? 'preview' : sequence}`);
+}
+
+// Plays the steps of a sequence one after the other, motions until they finish, stops when interrupted
+async function runSequence(character, sequence, interrupted) {
+    const model_path = extension_settings.live2d.characterModelMapping[character];
+    const steps = Array.isArray(sequence) ? sequence : extension_settings.live2d.characterModelsSettings[character]?.[model_path]?.['sequences']?.[sequence];
+
+    if (steps === undefined) {
+        console.debug(DEBUG_PREFIX,'No sequence',sequence,'for',character);
+        return;
+    }
+
+    for (const step of steps) {
+        if (interrupted() || models[character] === undefined)
+            return;
+
+        console.debug(DEBUG_PREFIX,character,'sequence step',step);
+        switch (step['type']) {
+            case 'expression':
+                if (step['value'] != 'none')
+                    await startExpression(character, step['value']);
+                break;
+            case 'motion':
+                // No sequence inside a sequence
+                if (step['value'] != 'none' && !String(step['value']).startsWith(SEQUENCE_PREFIX))
+                    await startMotion(character, step['value']);
+                break;
+            case 'wait':
+                await delay(Number(step['value']));
+                break;
+            default:
+                console.debug(DEBUG_PREFIX,'Unknown sequence step',step);
+        }
+    }
 }
 
-async function playMotion(character, motion, force = false) {
+/**
+ * Plays a motion, a sequence or a recorded motion of a character until it finishes.
+ * Loops are replayed on the motion finished event until their number of plays is reached or they are interrupted.
+ * A loop without number of plays gives its queue place to any other animation after its first play.
+ * @param {string} character Character name.
+ * @param {string} motion Motion as group_id=index, group_id=random or scene:sequence.
+ * @param {boolean} [force] Reset the model before the motion.
+ * @param {function(): boolean} [interrupted] Tells if the animation queue moved on.
+ * @param {object} [options] Playback options, see MOTION_OPTIONS_DEFAULT.
+ * @param {function(): void} [loop] Tells the animation queue the motion loops until replaced.
+ */
+async function startMotion(character, motion, force = false, interrupted = () => false, options = MOTION_OPTIONS_DEFAULT, loop = () => {}) {
     if (models[character] === undefined)
         return;
 
@@ -547,28 +1186,115 @@ async function playMotion(character, motion, force = false) {
 
     // Reset model to force animation
     if (force || extension_settings.live2d.force_animation) {
-        console.debug(DEBUG_PREFIX,'force model reloading models');
-        await loadLive2d();
-        //models[character].internalModel.motionManager.stopAllMotions();
+        console.debug(DEBUG_PREFIX,'force model reset of',character);
+        await resetModel(character);
+    }
+
+    // A sequence plays its steps in the same animation
+    if (motion.startsWith(SEQUENCE_PREFIX)) {
+        await runSequence(character, motion.slice(SEQUENCE_PREFIX.length), interrupted);
+        return;
     }
 
     const model = models[character];
     const motion_label_split = motion.split('_id=');
     const motion_label = motion_label_split[0];
     const motion_id = motion_label_split[1];
+    const motion_count = model.internalModel.motionManager.definitions[motion_label]?.length ?? 0;
+    const plays = options['loop'] > 0 ? options['loop'] : Infinity;
 
+    console.debug(DEBUG_PREFIX,character,'playing motion',motion_label,motion_id,options);
 
-    console.debug(DEBUG_PREFIX,character,'playing motion',motion_label,motion_id);
+    for (let play = 0; play < plays && models[character] === model && (play == 0 || !interrupted()); play++) {
+        // Random motions pick another motion of the group at each play
+        const index = motion_id == 'random' || motion_id === undefined ? (motion_count > 0 ? Math.floor(Math.random() * motion_count) : undefined) : Number(motion_id);
+        const restore = await applyMotionOptions(model, motion_label, index, options);
 
-    if (motion_id == 'random')
-        await model.motion(motion_label);
-    else
-        await model.motion(motion_label,motion_id);
+        // The animation queue already decided this motion replaces the current one
+        const started = await model.motion(motion_label, index, live2d.MotionPriority.FORCE);
+
+        last_motion[character] = motion;
+
+        const finished = started && await waitMotionFinish(model);
+        restore();
+
+        // Not started, or another motion took over from outside the animation queue: the loop does not fight it
+        if (!finished) {
+            if (started)
+                console.debug(DEBUG_PREFIX,'Motion',motion,'of',character,'replaced by another motion, loop stopped');
+            return;
+        }
 
-    last_motion[character] = motion;
+        if (plays === Infinity && play == 0)
+            loop();
+    }
+}
+
+/**
+ * Applies the speed and fades of the playback options to a motion about to play.
+ * @returns {Promise<function(): void>} Puts the motion back as it was, once it finished.
+ */
+async function applyMotionOptions(model, group, index, options) {
+    const restores = [];
+
+    // Read every frame by the motion clock of the model, see attachMotionSpeed
+    const playback = { 'speed': options['speed'] };
+    model.st_motion_playback = playback;
+    restores.push(() => {
+        if (model.st_motion_playback === playback)
+            model.st_motion_playback = undefined;
+    });
+
+    if (index !== undefined && (options['fade_in'] >= 0 || options['fade_out'] >= 0)) {
+        const motion = await model.internalModel.motionManager.loadMotion(group, index);
+
+        // Cubism 3+ motions take fades in seconds, Cubism 2 motions in ms
+        if (typeof motion?.setFadeInTime == 'function') {
+            const fades = [motion.getFadeInTime(), motion.getFadeOutTime()];
+            if (options['fade_in'] >= 0)
+                motion.setFadeInTime(options['fade_in'] / 1000);
+            if (options['fade_out'] >= 0)
+                motion.setFadeOutTime(options['fade_out'] / 1000);
+            restores.push(() => { motion.setFadeInTime(fades[0]); motion.setFadeOutTime(fades[1]); });
+        }
+        else if (typeof motion?.setFadeIn == 'function') {
+            const fades = [motion.getFadeIn(), motion.getFadeOut()];
+            if (options['fade_in'] >= 0)
+                motion.setFadeIn(options['fade_in']);
+            if (options['fade_out'] >= 0)
+                motion.setFadeOut(options['fade_out']);
+            restores.push(() => { motion.setFadeIn(fades[0]); motion.setFadeOut(fades[1]); });
+        }
+    }
+
+    return () => restores.forEach(restore => restore());
+}
+
+/**
+ * Gives the motions of a model their own clock, running at the speed of the playing motion options.
+ * Cubism 2 motions follow the system clock and always play at normal speed.
+ * @param {object} model Live2d model.
+ */
+function attachMotionSpeed(model) {
+    const motion_manager = model.internalModel.motionManager;
+    const update_parameters = motion_manager.updateParameters.bind(motion_manager);
+    let last_now;
+    let motion_time = 0;
+
+    motion_manager.updateParameters = (core_model, now) => {
+        motion_time += last_now === undefined ? 0 : (now - last_now) * (model.st_motion_playback?.['speed'] ?? 1);
+        last_now = now;
+        return update_parameters(core_model, motion_time);
+    };
 }
 
-async function playTalk(character, text) {
+/**
+ * Plays the talk animation of a character.
+ * @param {string} character Name of the talking character.
+ * @param {string} text Text spoken, gives the duration and mouth shapes.
+ * @param {boolean} streaming Text is still being generated, follow streaming_texts until the stream ends.
+ */
+async function playTalk(character, text, streaming = false) {
     console.debug(DEBUG_PREFIX,'Playing mouth animation for',character,'message:',text);
     // No model loaded for character
     if (models[character] === undefined)
@@ -588,41 +1314,46 @@ async function playTalk(character, text) {
         //return;
     }
 
+    // Model removed while waiting
+    if (models[character] === undefined)
+        return;
+
     const model = models[character];
     const model_path = extension_settings.live2d.characterModelMapping[character];
-    const parameter_mouth_open_y_id = extension_settings.live2d.characterModelsSettings[character][model_path]['param_mouth_open_y_id'];
-    const mouth_open_speed = extension_settings.live2d.characterModelsSettings[character][model_path]['mouth_open_speed'];
-    const mouth_time_per_character = extension_settings.live2d.characterModelsSettings[character][model_path]['mouth_time_per_character'];
+    const model_settings = extension_settings.live2d.characterModelsSettings[character][model_path];
+    const parameter_mouth_open_y_id = model_settings['param_mouth_open_y_id'];
+    const parameter_mouth_form_id = model_settings['param_mouth_form_id'] ?? 'none';
+    const viseme_mapping = { ...VISEME_MAPPING_DEFAULT, ...(model_settings['viseme_mapping'] ?? {}) };
+    const mouth_open_speed = model_settings['mouth_open_speed'];
+    const mouth_time_per_character = model_settings['mouth_time_per_character'];
 
     // No mouth parameter set
     if (parameter_mouth_open_y_id == 'none') {
         return;
     }
 
-    if (typeof model.internalModel.coreModel.addParameterValueById !== 'function') {
-        console.debug(DEBUG_PREFIX,'Model has no addParameterValueById function cannot animate mouth');
+    if (typeof model.internalModel.coreModel.setParameterValueById !== 'function') {
+        console.debug(DEBUG_PREFIX,'Model has no setParameterValueById function cannot animate mouth');
         return;
     }
-	
-	is_talking[character] = true;
-	// Уведомляем систему движения тела о начале разговора
-	notifyMouthActivity(character, true);
-	
-	let startTime = Date.now();
-	const duration = text.length * mouth_time_per_character;
-	let turns = 0;
-	let mouth_y = 0;
-	window.live2d_tts_bind = false; // @4eckme
-	while ((Date.now() - startTime) < duration || true) { // @4eckme
-		
-		// start @4eckme
-		model.internalModel.coreModel.addParameterValueById(parameter_mouth_open_y_id, -100);
-		while (window.live2d_tts_bind === false) {
-			await delay(20);
-		}
-		// end @4eckme
-
-		if (abortTalking[character]) {
+
+    is_talking[character] = true;
+    // Уведомляем систему движения тела о начале разговора
+    notifyMouthActivity(character, true);
+    resetLipSync(character);
+
+    const startTime = Date.now();
+    let timeline = textToVisemes(text, mouth_time_per_character);
+    let duration = getTimelineDuration(timeline);
+    const blend = Math.min(1, VISEME_BLEND * mouth_open_speed);
+    let position = 0; // Time spoken in the text timeline
+    let last_tick = startTime;
+    let mouth_y = 0;
+    let mouth_form = 0;
+    let speech_bound = false;
+
+    while (true) {
+        if (abortTalking[character]) {
             console.debug(DEBUG_PREFIX,'Abort talking requested.');
             break;
         }
@@ -633,26 +1364,202 @@ async function playTalk(character, text) {
             break;
         }
 
-        mouth_y = Math.sin((Date.now() - startTime));
-        model.internalModel.coreModel.addParameterValueById(parameter_mouth_open_y_id, mouth_y);
-        
+        // Streamed text grew, extend the timeline (already spoken part is unchanged)
+        const stream_text = streaming ? streaming_texts[character] : undefined;
+        if (stream_text !== undefined && stream_text.length != text.length) {
+            text = stream_text;
+            timeline = textToVisemes(text, mouth_time_per_character);
+            duration = getTimelineDuration(timeline);
+        }
+
+        const now = Date.now();
+        position = Math.min(duration, position + (now - last_tick));
+        last_tick = now;
+
+        const speech = speech_sources[character];
+        const elapsed = now - startTime;
+        let viseme;
+
+        if (speech !== undefined) {
+            // Speech source bound, talk until it ends
+            if (!speech_bound)
+                console.debug(DEBUG_PREFIX,'Talk animation of',character,'bound to speech source',speech.audio);
+            speech_bound = true;
+
+            if (speech.audio !== null && speech.audio.ended) {
+                console.debug(DEBUG_PREFIX,'Speech audio ended for',character);
+                delete speech_sources[character];
+                break;
+            }
+        }
+        else {
+            // Speech ended or whole text spoken, a running stream waits for more text
+            if (speech_bound || (position >= duration && stream_text === undefined))
+                break;
+        }
+
+        if (speech?.audio) {
+            // Audio loudness opens the mouth, the text gives its shape
+            const audio_duration = speech.audio.duration;
+            const audio_time = (audio_duration > 0 && isFinite(audio_duration)) ? speech.audio.currentTime / audio_duration * duration : elapsed;
+            viseme = getVisemeAt(timeline, audio_time);
+            mouth_y = getLipSyncLevel(character, speech.audio, model_settings);
+            talk_positions[character] = audio_time;
+        }
+        else if (duration > 0) {
+            // Text visemes, looped while a speech without audio is running
+            talk_positions[character] = speech !== undefined ? elapsed % duration : position;
+            viseme = getVisemeAt(timeline, talk_positions[character]);
+            mouth_y += ((viseme ? viseme_mapping[viseme.viseme]['open'] : 0) - mouth_y) * blend;
+        }
+        else if (speech !== undefined) {
+            // Neither text nor audio, simple mouth flapping
+            mouth_y = (Math.sin(elapsed / 100 * mouth_open_speed) + 1) / 2;
+        }
+        else {
+            // Waiting for streamed text
+            mouth_y += (0 - mouth_y) * blend;
+        }
+        mouth_form += ((viseme ? viseme_mapping[viseme.viseme]['form'] : 0) - mouth_form) * blend;
+
+        model.internalModel.coreModel.setParameterValueById(parameter_mouth_open_y_id, mouth_y);
+        if (parameter_mouth_form_id != 'none')
+            model.internalModel.coreModel.setParameterValueById(parameter_mouth_form_id, mouth_form);
+        notifyMouthActivity(character, mouth_y > MOUTH_ACTIVITY_THRESHOLD);
+
         // Старая система прямой привязки параметров отключена
         // Теперь движения тела управляются системой bodyMovement.js
         // которая создаёт более естественные движения с шумом и инерцией
-        
-        await delay(100 / mouth_open_speed);
-        turns += 1;
+
+        await delay(LIP_SYNC_INTERVAL_MS);
     }
 
     if (model?.internalModel?.coreModel !== undefined) {
-        model.internalModel.coreModel.addParameterValueById(parameter_mouth_open_y_id, -100); // close mouth
-        
+        model.internalModel.coreModel.setParameterValueById(parameter_mouth_open_y_id, 0); // close mouth
+        if (parameter_mouth_form_id != 'none')
+            model.internalModel.coreModel.setParameterValueById(parameter_mouth_form_id, 0);
+
         // Уведомляем систему движения тела о завершении разговора
         notifyMouthActivity(character, false);
     }
+    delete talk_positions[character];
     is_talking[character] = false;
 }
 
+/**
+ * Follows a streamed reply with the talk animation of its character.
+ * @param {string} text Reply text received so far.
+ */
+function playStreamingTalk(text) {
+    const character = streaming_speaker;
+    if (character === null || models[character] === undefined || typeof text !== 'string')
+        return;
+
+    const started = streaming_texts[character] !== undefined;
+    text = stripDirectives(text);
+    streaming_texts[character] = text;
+    streamed_characters[character] = true;
+
+    if (!started) {
+        console.debug(DEBUG_PREFIX,'Streaming talk started for',character);
+        playTalk(character, text, true);
+    }
+}
+
+/**
+ * Lets the streaming talk animations settle when the generation is over.
+ * @param {boolean} stopped Generation was stopped by the user, close the mouth right away instead of finishing the text.
+ */
+function endStreamingTalk(stopped = false) {
+    streaming_speaker = null;
+    for (const character in streaming_texts) {
+        console.debug(DEBUG_PREFIX,'Streaming talk ended for',character,stopped ? '(stopped)' : '');
+        delete streaming_texts[character];
+        if (stopped) {
+            abortTalking[character] = true;
+            delete streamed_characters[character];
+        }
+    }
+}
+
+/**
+ * Starts the talk animation of a character for an external speech (TTS or any other extension).
+ * The mouth follows the loudness of the audio source until endSpeech is called or the audio ends.
+ * Without audio source the mouth is animated until endSpeech is called.
+ * @param {string} character Name of the speaking character.
+ * @param {HTMLMediaElement} [source] Audio element playing the speech.
+ * @param {string} [text] Spoken text, gives the mouth shapes.
+ */
+async function beginSpeech(character, source = null, text = '') {
+    if (models[character] === undefined)
+        return;
+
+    console.debug(DEBUG_PREFIX,'Speech started for',character,'source:',source);
+    speech_sources[character] = { 'audio': source ?? null };
+
+    // Running talk animation will pick the source up
+    if (!is_talking[character])
+        await playTalk(character, text);
+}
+
+/**
+ * Stops the speech talk animation of a character started with beginSpeech.
+ * @param {string} character Name of the speaking character.
+ */
+function endSpeech(character) {
+    if (speech_sources[character] === undefined)
+        return;
+
+    console.debug(DEBUG_PREFIX,'Speech ended for',character);
+    delete speech_sources[character];
+}
+
+// Bind the TTS extension audio element to the character of the chat, see getTtsSpeaker
+function bindTtsAudio() {
+    const audio = findTtsAudio();
+    if (audio === null || audio.live2d_bound)
+        return;
+
+    audio.live2d_bound = true;
+    audio.addEventListener('play', () => {
+        // Already bound by the extension playing it
+        if (Object.values(speech_sources).some(speech => speech.audio === audio))
+            return;
+
+        const speaker = getTtsSpeaker();
+        if (speaker !== undefined)
+            beginSpeech(speaker.character, audio, speaker.text);
+    });
+    audio.addEventListener('pause', () => {
+        for (const character in speech_sources) {
+            if (speech_sources[character].audio === audio)
+                endSpeech(character);
+        }
+    });
+    console.debug(DEBUG_PREFIX,'Bound TTS audio element for lip sync');
+}
+
+/**
+ * Finds who the TTS extension audio speaks for. The audio does not tell which message it reads: only one character chats
+ * are known, group chats are left to the speech events. The text is known when the message read is the last one of the chat.
+ * @returns {{character: string, text: string}|undefined} Undefined when the speaker is unknown.
+ */
+function getTtsSpeaker() {
+    const context = getContext();
+    if (context.groupId) {
+        console.debug(DEBUG_PREFIX,'TTS audio of a group chat, speaker unknown, not animated. Use the speech events to name it');
+        return undefined;
+    }
+
+    const character = context.name2;
+    if (models[character] === undefined)
+        return undefined;
+
+    const last_message = context.chat[context.chat.length - 1];
+    const text = last_message !== undefined && last_message.name == character && !last_message.is_user && !last_message.is_system ? stripDirectives(last_message.mes) : '';
+    return { 'character': character, 'text': text };
+}
+
 async function playMessage(chat_id) {
     const character = getContext().chat[chat_id].name;
 
@@ -660,10 +1567,140 @@ async function playMessage(chat_id) {
     if (getContext().chat[chat_id].is_user || getContext().chat[chat_id].is_system)
         return;
 
-    const message = getContext().chat[chat_id].mes;
+    // Reply was already spoken while streaming
+    if (streamed_characters[character]) {
+        delete streamed_characters[character];
+        delete streaming_texts[character];
+        return;
+    }
+
+    const message = stripDirectives(getContext().chat[chat_id].mes);
     playTalk(character, message);
 }
 
+/**
+ * New generation, forgets replies streamed before and finds the character speaking.
+ * Group chats start a generation for each member with the member as current character.
+ * @param {string} type Generation type.
+ * @param {object} [options] Generation options.
+ * @param {boolean} [dry_run] Prompt built without generating.
+ */
+function resetStreamingTalk(type, options = {}, dry_run = false) {
+    if (dry_run)
+        return;
+
+    streamed_characters = {};
+
+    const context = getContext();
+    const character_id = options?.force_chid ?? context.characterId;
+    streaming_speaker = UNSPOKEN_GENERATIONS.includes(type) ? null : context.characters[character_id]?.name ?? null;
+    console.debug(DEBUG_PREFIX,'Generation',type,'spoken by',streaming_speaker);
+}
+
+/**
+ * Replays the expression and talk animation of a message shown again after a swipe or an edit.
+ * Only the last message of its character is replayed, older messages only get their classification refreshed.
+ * Classification results are cached, a text already classified does not call the classifier again.
+ * @param {number} chat_id Index of the message in the chat.
+ */
+async function replayMessage(chat_id) {
+    const chat = getContext().chat;
+    const message = chat[chat_id];
+    if (message === undefined || message.is_user || message.is_system)
+        return;
+
+    // Swiped to a new reply, it is played when received
+    if (Array.isArray(message.swipes) && message.swipe_id >= message.swipes.length)
+        return;
+
+    const last_id = chat.findLastIndex(m => m.name === message.name && !m.is_user && !m.is_system);
+    if (Number(chat_id) !== last_id) {
+        console.debug(DEBUG_PREFIX,'Message',chat_id,'is not the last of',message.name,', refreshing its classification only');
+        await refreshClassification(chat_id);
+        return;
+    }
+
+    console.debug(DEBUG_PREFIX,'Replaying message',chat_id,'of',message.name);
+    playMessage(chat_id);
+    await updateExpression(chat_id);
+}
+
+// Classifies a message like updateExpression without playing it, so the cache holds its current text
+async function refreshClassification(chat_id) {
+    const message = getContext().chat[chat_id];
+    const character = message.name;
+    const model_path = extension_settings.live2d.characterModelMapping[character];
+    if (model_path === undefined)
+        return;
+
+    const time_per_character = extension_settings.live2d.characterModelsSettings[character][model_path]['mouth_time_per_character'];
+    const { text } = parseDirectives(message.mes, time_per_character);
+    const timeline_mode = extension_settings.live2d.emotionTimeline ?? 'off';
+    const segments = timeline_mode != 'off' ? splitMessageSegments(text, timeline_mode, time_per_character) : [];
+    const texts = segments.length > 1 ? segments.map(segment => segment.text) : [text];
+
+    await Promise.all(texts.map(segment_text => analyseText(character, segment_text)));
+}
+
+// Messages were deleted, characters go back to the expression of their last message still shown
+async function onMessageDeleted() {
+    const chat = getContext().chat;
+    const replayed = new Set();
+
+    for (const character in is_talking)
+        abortTalking[character] = true;
+
+    for (let chat_id = chat.length - 1; chat_id >= 0; chat_id--) {
+        const message = chat[chat_id];
+        if (message.is_user || message.is_system || replayed.has(message.name) || models[message.name] === undefined)
+            continue;
+
+        replayed.add(message.name);
+        updateExpression(chat_id);
+    }
+}
+
+/**
+ * Puts the model of a character back in its loaded state without reloading the canvas:
+ * stops its motions, clears its expressions, restores its parameter defaults and restarts its auto animations.
+ * @param {string} character Character name.
+ */
+async function resetModel(character) {
+    const model = models[character];
+    const model_path = extension_settings.live2d.characterModelMapping[character];
+    if (model === undefined)
+        return;
+
+    console.debug(DEBUG_PREFIX,'Soft reset of the model of',character);
+
+    const motion_manager = model.internalModel.motionManager;
+    motion_manager.stopAllMotions();
+    model.st_motion_playback = undefined;
+
+    clearBlendedExpressions(character);
+    motion_manager.expressionManager?.resetExpression();
+
+    // Saved so the next frame starts from the defaults instead of the last pose
+    const core_model = model.internalModel.coreModel;
+    if (core_model._model?.parameters?.defaultValues !== undefined) {
+        await resetParameters(character);
+        core_model.saveParameters?.();
+    }
+
+    await restartAutoAnimations(character);
+    await restartBodyMovement(character, model, model_path);
+}
+
+// Soft resets every loaded model through its animation queue, the running animations stop. Reloads everything when no model is loaded.
+async function resetModels() {
+    if (app === null || Object.keys(models).length == 0) {
+        await loadLive2d();
+        return;
+    }
+
+    await Promise.all(Object.keys(models).map(character => enqueueAnimation(character, ANIMATION_PRIORITY.script, () => resetModel(character), 'reset')));
+}
+
 // Sets a parameter value using an ID
 async function setParameter(character, paramId, paramValue) {
     const model = models[character];
@@ -686,324 +1723,276 @@ function charactersWithModelLoaded() {
     return Object.keys(models);
 }
 
-function forceLoopAnimation() {
-    for (const character in models) {
-        const model = models[character];
-        model.internalModel.motionManager.playing;
+// Replays the last motion once the motions of the model finished and its animation queue moved on
+function forceLoopAnimation(character, model) {
+    if (!extension_settings.live2d.force_loop || models[character] !== model || last_motion[character] === undefined)
+        return;
 
-        if (model.internalModel.motionManager.playing) {
-            //console.debug(DEBUG_PREFIX,"Already playing motion wating for looping");
-            continue;
-        }
+    // Running animations loop with their own options, the idle scheduler picks the idle motions instead
+    if (isAnimationBusy(character) || isAnimationLooping(character) || extension_settings.live2d.characterModelsSettings[character]?.[model.st_model_path]?.['idle_scheduler']?.['enabled'])
+        return;
 
-        if (last_motion[character] !== undefined) {
-            playMotion(character, last_motion[character]);
-            //console.debug(DEBUG_PREFIX,"Force looping of motion",motion);
-        }
-    }
+    //console.debug(DEBUG_PREFIX,"Force looping of motion",last_motion[character]);
+    playMotion(character, last_motion[character], false, ANIMATION_PRIORITY.idle);
 }
-async function autoBreathing(character) {
+function autoBreathing(character) {
     const model = models[character];
     if (!model) return;
     
     // Проверяем, включены ли автоматические анимации
     if (!extension_settings.live2d.autoAnimationsEnabled) return;
     
-    // Отмечаем, что анимация дыхания запущена
-    if (!autoAnimationsRunning[character]) {
-        autoAnimationsRunning[character] = {};
-    }
-    autoAnimationsRunning[character].breathing = true;
-    
     const model_path = extension_settings.live2d.characterModelMapping[character];
     const BREATH_PARAMETER_ID = extension_settings.live2d.characterModelsSettings[character][model_path]['cursor_param']['idParamBreath'] || "PARAM_BREATH";
     
     // Фиксируем параметры на момент запуска (не читаем в реальном времени)
-    const BREATH_SPEED = extension_settings.live2d.autoBreathSpeed || 0.5;
-    const BREATH_AMOUNT = extension_settings.live2d.autoBreathAmplitude || 0.5;
+    const BREATH_SPEED = getAutoAnimationSetting(character, 'autoBreathSpeed') || 0.5;
+    const BREATH_AMOUNT = getAutoAnimationSetting(character, 'autoBreathAmplitude') || 0.5;
     
-    while (true) {
-        // Проверяем, что модель всё ещё существует и анимации включены
-        if (model?.internalModel?.coreModel === undefined || !extension_settings.live2d.autoAnimationsEnabled) {
-            console.debug(DEBUG_PREFIX, 'Model destroyed or animations disabled, stopping breathing animation');
-            autoAnimationsRunning[character].breathing = false;
-            break;
-        }
-        
-        const time = Date.now() / 1000; // Текущее время в секундах
-        const value = BREATH_AMOUNT * Math.sin(BREATH_SPEED * time);
-        
-        
-        try {
-            model.internalModel.coreModel.addParameterValueById(BREATH_PARAMETER_ID, value);
-        } catch (error) {
-            console.debug(DEBUG_PREFIX, 'Error animating breath parameter:', error);
-            autoAnimationsRunning[character].breathing = false;
-            break;
+    // Phase accumulated so a mood change of the breathing speed does not jump in the cycle
+    let phase = BREATH_SPEED * Date.now() / 1000;
+
+    addTickerTask(character, 'breathing', (frame) => {
+        if (!extension_settings.live2d.autoAnimationsEnabled) {
+            console.debug(DEBUG_PREFIX, 'Animations disabled, stopping breathing animation');
+            return false;
         }
-        
-        await delay(50); // 20 FPS обновление
-    }
-    
-    autoAnimationsRunning[character].breathing = false;
+
+        phase += BREATH_SPEED * getMoodModifiers(character)['breath_speed'] * frame.elapsed / 1000;
+        frame.add(BREATH_PARAMETER_ID, BREATH_AMOUNT * Math.sin(phase));
+    });
 }
-async function autoMicrosaccades(character) {
+
+function autoMicrosaccades(character) {
     const model = models[character];
     if (!model) return;
     
     // Проверяем, включены ли автоматические анимации и микросаккады
-    if (!extension_settings.live2d.autoAnimationsEnabled || !extension_settings.live2d.microsaccadesEnabled) return;
-    
-    // Отмечаем, что анимация микросаккад запущена
-    if (!autoAnimationsRunning[character]) {
-        autoAnimationsRunning[character] = {};
-    }
-    autoAnimationsRunning[character].microsaccades = true;
+    if (!extension_settings.live2d.autoAnimationsEnabled || !getAutoAnimationSetting(character, 'microsaccadesEnabled')) return;
     
     const model_path = extension_settings.live2d.characterModelMapping[character];
     const EYE_X_PARAM_ID = extension_settings.live2d.characterModelsSettings[character][model_path]['cursor_param']['idParamEyeBallX'] || "PARAM_EYE_BALL_X";
     const EYE_Y_PARAM_ID = extension_settings.live2d.characterModelsSettings[character][model_path]['cursor_param']['idParamEyeBallY'] || "PARAM_EYE_BALL_Y";
     
     // Параметры микросаккад (фиксированные на момент запуска)
-    const MICROSACCADE_AMPLITUDE = extension_settings.live2d.microsaccadeAmplitude || 0.02;
-    const MICROSACCADE_FREQUENCY = extension_settings.live2d.microsaccadeFrequency || 1.0;
-    const MICROSACCADE_DURATION = extension_settings.live2d.microsaccadeDuration || 15;
-    const MICROSACCADE_INTERVAL_MIN = extension_settings.live2d.microsaccadeIntervalMin || 300;
-    const MICROSACCADE_INTERVAL_MAX = extension_settings.live2d.microsaccadeIntervalMax || 1500;
+    const MICROSACCADE_AMPLITUDE = getAutoAnimationSetting(character, 'microsaccadeAmplitude') || 0.02;
+    const MICROSACCADE_FREQUENCY = getAutoAnimationSetting(character, 'microsaccadeFrequency') || 1.0;
+    const MICROSACCADE_DURATION = getAutoAnimationSetting(character, 'microsaccadeDuration') || 15;
+    const MICROSACCADE_INTERVAL_MIN = getAutoAnimationSetting(character, 'microsaccadeIntervalMin') || 300;
+    const MICROSACCADE_INTERVAL_MAX = getAutoAnimationSetting(character, 'microsaccadeIntervalMax') || 1500;
     
-    
-    while (true) {
-        // Проверяем, что модель существует и анимации включены
-        if (model?.internalModel?.coreModel === undefined || 
-            !extension_settings.live2d.autoAnimationsEnabled || 
-            !extension_settings.live2d.microsaccadesEnabled) {
-            console.debug(DEBUG_PREFIX, 'Model destroyed or microsaccades disabled, stopping microsaccades');
-            autoAnimationsRunning[character].microsaccades = false;
-            break;
+    // Each microsaccade waits its interval, jumps away from the gaze (saccade) then comes back (drift)
+    let stage = 'wait';
+    let stage_time = 0;
+    let interval = 0;
+    let microsaccadeX = 0;
+    let microsaccadeY = 0;
+
+    addTickerTask(character, 'microsaccades', (frame) => {
+        // Проверяем, что анимации включены
+        if (!extension_settings.live2d.autoAnimationsEnabled || !getAutoAnimationSetting(character, 'microsaccadesEnabled')) {
+            console.debug(DEBUG_PREFIX, 'Microsaccades disabled, stopping microsaccades');
+            return false;
         }
-        
-        try {
-            // Получаем текущее положение глаз
-            let currentX = 0;
-            let currentY = 0;
-            
-            try {
-                currentX = model.internalModel.coreModel.getParameterValueById(EYE_X_PARAM_ID) || 0;
-                currentY = model.internalModel.coreModel.getParameterValueById(EYE_Y_PARAM_ID) || 0;
-            } catch (error) {
-                // Если не можем получить текущие значения, используем 0
-                currentX = 0;
-                currentY = 0;
-            }
-            
+
+        stage_time += frame.elapsed;
+
+        if (stage == 'wait' && stage_time >= interval) {
             // Генерируем случайное направление для микросаккады
             const angle = Math.random() * Math.PI * 2;
             const distance = Math.random() * MICROSACCADE_AMPLITUDE;
-            
-            const microsaccadeX = Math.cos(angle) * distance;
-            const microsaccadeY = Math.sin(angle) * distance;
-            
-            // Применяем микросаккаду как относительное смещение
-            const targetX = currentX + microsaccadeX;
-            const targetY = currentY + microsaccadeY;
-            
-            // Быстрое движение к новой позиции (саккада)
-            const SACCADE_STEPS = Math.max(2, Math.floor(MICROSACCADE_DURATION / 5));
-            const SACCADE_DELAY = Math.floor(MICROSACCADE_DURATION / SACCADE_STEPS);
-            
-            for (let step = 0; step <= SACCADE_STEPS; step++) {
-                const progress = step / SACCADE_STEPS;
-                // Быстрое движение с затуханием в конце
-                const eased = progress < 0.8 ? progress * 1.25 : 1 - Math.pow(2 * (1 - progress), 2);
-                
-                const currentPosX = currentX + (targetX - currentX) * eased;
-                const currentPosY = currentY + (targetY - currentY) * eased;
-                
-                // Применяем только относительное смещение, не перезаписывая основное положение
-                model.internalModel.coreModel.addParameterValueById(EYE_X_PARAM_ID, microsaccadeX * eased);
-                model.internalModel.coreModel.addParameterValueById(EYE_Y_PARAM_ID, microsaccadeY * eased);
-                
-                await delay(SACCADE_DELAY);
-            }
-            
-            // Возвращаемся к исходной позиции (дрифт)
-            const DRIFT_STEPS = Math.max(3, Math.floor(MICROSACCADE_DURATION / 3));
-            const DRIFT_DELAY = Math.floor(MICROSACCADE_DURATION / DRIFT_STEPS);
-            
-            for (let step = 0; step <= DRIFT_STEPS; step++) {
-                const progress = step / DRIFT_STEPS;
-                const eased = 1 - Math.pow(1 - progress, 2); // Плавное возвращение
-                
-                const returnX = microsaccadeX * (1 - eased);
-                const returnY = microsaccadeY * (1 - eased);
-                
-                model.internalModel.coreModel.addParameterValueById(EYE_X_PARAM_ID, returnX - microsaccadeX);
-                model.internalModel.coreModel.addParameterValueById(EYE_Y_PARAM_ID, returnY - microsaccadeY);
-                
-                await delay(DRIFT_DELAY);
-            }
-            
-            
+            microsaccadeX = Math.cos(angle) * distance;
+            microsaccadeY = Math.sin(angle) * distance;
+            stage = 'saccade';
+            stage_time = 0;
+        }
+        else if (stage == 'saccade' && stage_time >= MICROSACCADE_DURATION) {
+            stage = 'drift';
+            stage_time = 0;
+        }
+        else if (stage == 'drift' && stage_time >= MICROSACCADE_DURATION) {
             // Случайный интервал до следующей микросаккады
-            const interval = MICROSACCADE_INTERVAL_MIN + Math.random() * (MICROSACCADE_INTERVAL_MAX - MICROSACCADE_INTERVAL_MIN);
-            await delay(interval);
-            
-        } catch (error) {
-            console.debug(DEBUG_PREFIX, 'Error animating microsaccades:', error);
-            autoAnimationsRunning[character].microsaccades = false;
-            break;
+            interval = (MICROSACCADE_INTERVAL_MIN + Math.random() * (MICROSACCADE_INTERVAL_MAX - MICROSACCADE_INTERVAL_MIN)) / MICROSACCADE_FREQUENCY;
+            stage = 'wait';
+            stage_time = 0;
+        }
+
+        if (stage == 'wait')
+            return;
+
+        const progress = Math.min(1, stage_time / MICROSACCADE_DURATION);
+        let eased;
+        if (stage == 'saccade')
+            // Быстрое движение с затуханием в конце
+            eased = progress < 0.8 ? progress * 1.25 : 1 - Math.pow(2 * (1 - progress), 2);
+        else
+            // Плавное возвращение
+            eased = Math.pow(1 - progress, 2);
+
+        // Применяем только относительное смещение, не перезаписывая основное положение
+        frame.add(EYE_X_PARAM_ID, microsaccadeX * eased);
+        frame.add(EYE_Y_PARAM_ID, microsaccadeY * eased);
+    });
+}
+
+// Next fixation point of the automatic eye movement
+function pickGazeTarget(character, CENTER_WEIGHT, AMPLITUDE_CENTER, AMPLITUDE_PERIPHERAL) {
+    let targetX, targetY;
+    
+    const lookChoice = Math.random();
+    
+    // CENTER_WEIGHT: 0% = всегда в центре, 100% = всегда по сторонам
+    if (CENTER_WEIGHT === 0 || AMPLITUDE_PERIPHERAL === 0) {
+        // Всегда смотрим в центральную зону
+        if (Math.random() < 0.5) {
+            // 50% времени - прямо в центр
+            targetX = 0;
+            targetY = 0;
+        } else {
+            // 50% времени - рядом с центром (но только в малом радиусе)
+            const angle = Math.random() * Math.PI * 2;
+            const distance = Math.random() * Math.min(AMPLITUDE_CENTER, 0.05); // Ограничиваем центральную зону
+            targetX = Math.cos(angle) * distance;
+            targetY = Math.sin(angle) * distance;
+        }
+    } else if (CENTER_WEIGHT === 1) {
+        // Всегда смотрим по сторонам (периферийная зона)
+        const angle = Math.random() * Math.PI * 2;
+        const distance = Math.max(AMPLITUDE_CENTER, 0.1) + Math.random() * Math.max(AMPLITUDE_PERIPHERAL - AMPLITUDE_CENTER, 0.1);
+        targetX = Math.cos(angle) * distance;
+        targetY = Math.sin(angle) * distance;
+    } else {
+        // Смешанный режим - используем вероятность
+        if (lookChoice < CENTER_WEIGHT) {
+            // Смотрим в периферийную зону
+            const angle = Math.random() * Math.PI * 2;
+            const distance = AMPLITUDE_CENTER + Math.random() * (AMPLITUDE_PERIPHERAL - AMPLITUDE_CENTER);
+            targetX = Math.cos(angle) * distance;
+            targetY = Math.sin(angle) * distance;
+        } else {
+            // Смотрим в центральную зону
+            if (Math.random() < 0.3) {
+                // 30% от центральных взглядов - прямо в центр
+                targetX = 0;
+                targetY = 0;
+            } else {
+                // 70% от центральных взглядов - рядом с центром
+                const angle = Math.random() * Math.PI * 2;
+                const distance = Math.random() * AMPLITUDE_CENTER;
+                targetX = Math.cos(angle) * distance;
+                targetY = Math.sin(angle) * distance;
+            }
         }
     }
     
-    autoAnimationsRunning[character].microsaccades = false;
+    // Mood widens or narrows the glances
+    const gaze_amplitude = getMoodModifiers(character)['gaze_amplitude'];
+    return {
+        'x': Math.max(-1, Math.min(1, targetX * gaze_amplitude)),
+        'y': Math.max(-1, Math.min(1, targetY * gaze_amplitude)),
+    };
 }
 
-async function autoEyeMovement(character) {
+function autoEyeMovement(character) {
     const model = models[character];
     if (!model) return;
     
     // Проверяем, включены ли автоматические анимации
     if (!extension_settings.live2d.autoAnimationsEnabled) return;
     
-    // Отмечаем, что анимация глаз запущена
-    if (!autoAnimationsRunning[character]) {
-        autoAnimationsRunning[character] = {};
-    }
-    autoAnimationsRunning[character].eyeMovement = true;
-    
     const model_path = extension_settings.live2d.characterModelMapping[character];
     const EYE_X_PARAM_ID = extension_settings.live2d.characterModelsSettings[character][model_path]['cursor_param']['idParamEyeBallX'] || "PARAM_EYE_BALL_X";
     const EYE_Y_PARAM_ID = extension_settings.live2d.characterModelsSettings[character][model_path]['cursor_param']['idParamEyeBallY'] || "PARAM_EYE_BALL_Y";
     
     // Фиксируем параметры на момент запуска (не читаем в реальном времени)
-    const CENTER_WEIGHT = extension_settings.live2d.autoEyeCenterWeight || 0.7;
-    const AMPLITUDE_CENTER = extension_settings.live2d.autoEyeAmplitudeCenter || 0.25;
-    const AMPLITUDE_PERIPHERAL = extension_settings.live2d.autoEyeAmplitudePeripheral || 1.0;
-    const FIXATION_TIME_MIN = extension_settings.live2d.autoEyeFixationMin || 200;
-    const FIXATION_TIME_MAX = extension_settings.live2d.autoEyeFixationMax || 2000;
-    
-    
-    // Текущее положение глаз
-    let currentX = 0;
-    let currentY = 0;
-    
-    // Сброс параметров глаз в начальное положение
-    try {
-        model.internalModel.coreModel.setParameterValueById(EYE_X_PARAM_ID, 0);
-        model.internalModel.coreModel.setParameterValueById(EYE_Y_PARAM_ID, 0);
-        console.debug(DEBUG_PREFIX, 'Reset eye parameters to (0, 0)');
-    } catch (error) {
-        console.debug(DEBUG_PREFIX, 'Error resetting eye parameters:', error);
-    }
+    const CENTER_WEIGHT = getAutoAnimationSetting(character, 'autoEyeCenterWeight') || 0.7;
+    const AMPLITUDE_CENTER = getAutoAnimationSetting(character, 'autoEyeAmplitudeCenter') || 0.25;
+    const AMPLITUDE_PERIPHERAL = getAutoAnimationSetting(character, 'autoEyeAmplitudePeripheral') || 1.0;
+    const FIXATION_TIME_MIN = getAutoAnimationSetting(character, 'autoEyeFixationMin') || 200;
+    const FIXATION_TIME_MAX = getAutoAnimationSetting(character, 'autoEyeFixationMax') || 2000;
     
-    while (true) {
-        // Проверяем, что модель существует и анимации включены
-        if (model?.internalModel?.coreModel === undefined || !extension_settings.live2d.autoAnimationsEnabled) {
-            console.debug(DEBUG_PREFIX, 'Model destroyed or animations disabled, stopping eye movement');
-            autoAnimationsRunning[character].eyeMovement = false;
-            break;
+    // Текущее положение глаз, начинаем из центра
+    let start = { 'x': 0, 'y': 0 };
+    let target = { 'x': 0, 'y': 0 };
+    let saccade_time = EYE_SACCADE_MS;
+    let fixation_time = 0;
+
+    addTickerTask(character, 'eyeMovement', (frame) => {
+        if (!extension_settings.live2d.autoAnimationsEnabled) {
+            console.debug(DEBUG_PREFIX, 'Animations disabled, stopping eye movement');
+            return false;
         }
-        
-        try {
-            // Определяем следующую точку фиксации
-            let targetX, targetY;
-            
-            const lookChoice = Math.random();
-            
-            // CENTER_WEIGHT: 0% = всегда в центре, 100% = всегда по сторонам
-            if (CENTER_WEIGHT === 0 || AMPLITUDE_PERIPHERAL === 0) {
-                // Всегда смотрим в центральную зону
-                if (Math.random() < 0.5) {
-                    // 50% времени - прямо в центр
-                    targetX = 0;
-                    targetY = 0;
-                } else {
-                    // 50% времени - рядом с центром (но только в малом радиусе)
-                    const angle = Math.random() * Math.PI * 2;
-                    const distance = Math.random() * Math.min(AMPLITUDE_CENTER, 0.05); // Ограничиваем центральную зону
-                    targetX = Math.cos(angle) * distance;
-                    targetY = Math.sin(angle) * distance;
-                }
-            } else if (CENTER_WEIGHT === 1) {
-                // Всегда смотрим по сторонам (периферийная зона)
-                const angle = Math.random() * Math.PI * 2;
-                const distance = Math.max(AMPLITUDE_CENTER, 0.1) + Math.random() * Math.max(AMPLITUDE_PERIPHERAL - AMPLITUDE_CENTER, 0.1);
-                targetX = Math.cos(angle) * distance;
-                targetY = Math.sin(angle) * distance;
-            } else {
-                // Смешанный режим - используем вероятность
-                if (lookChoice < CENTER_WEIGHT) {
-                    // Смотрим в периферийную зону
-                    const angle = Math.random() * Math.PI * 2;
-                    const distance = AMPLITUDE_CENTER + Math.random() * (AMPLITUDE_PERIPHERAL - AMPLITUDE_CENTER);
-                    targetX = Math.cos(angle) * distance;
-                    targetY = Math.sin(angle) * distance;
-                } else {
-                    // Смотрим в центральную зону
-                    if (Math.random() < 0.3) {
-                        // 30% от центральных взглядов - прямо в центр
-                        targetX = 0;
-                        targetY = 0;
-                    } else {
-                        // 70% от центральных взглядов - рядом с центром
-                        const angle = Math.random() * Math.PI * 2;
-                        const distance = Math.random() * AMPLITUDE_CENTER;
-                        targetX = Math.cos(angle) * distance;
-                        targetY = Math.sin(angle) * distance;
-                    }
-                }
-            }
-            
-            // Плавная интерполяция к новой позиции (саккада)
-            const SACCADE_STEPS = 6; // Количество шагов для плавности
-            const SACCADE_DELAY = 5; // Задержка между шагами (мс)
-            
-            for (let step = 0; step <= SACCADE_STEPS; step++) {
-                const progress = step / SACCADE_STEPS;
-                // Используем easing функцию для более естественного движения
-                const eased = progress < 0.5 ? 2 * progress * progress : 1 - Math.pow(-2 * progress + 2, 2) / 2;
-                
-                const currentPosX = currentX + (targetX - currentX) * eased;
-                const currentPosY = currentY + (targetY - currentY) * eased;
-                
-                // Используем setParameterValueById для абсолютных позиций
-                model.internalModel.coreModel.setParameterValueById(EYE_X_PARAM_ID, currentPosX);
-                model.internalModel.coreModel.setParameterValueById(EYE_Y_PARAM_ID, currentPosY);
-                
-                
-                await delay(SACCADE_DELAY);
+
+        if (saccade_time < EYE_SACCADE_MS) {
+            saccade_time += frame.elapsed;
+            // Фиксация взгляда на случайное время
+            if (saccade_time >= EYE_SACCADE_MS)
+                fixation_time = FIXATION_TIME_MIN + Math.random() * (FIXATION_TIME_MAX - FIXATION_TIME_MIN);
+        }
+        else {
+            fixation_time -= frame.elapsed;
+            if (fixation_time <= 0) {
+                start = target;
+                target = pickGazeTarget(character, CENTER_WEIGHT, AMPLITUDE_CENTER, AMPLITUDE_PERIPHERAL);
+                saccade_time = 0;
+
+                // Large gaze shifts come with a blink
+                if (getAutoAnimationSetting(character, 'autoBlinkOnGazeShift') && Math.hypot(target['x'] - start['x'], target['y'] - start['y']) > BLINK_GAZE_SHIFT)
+                    startBlink(character);
             }
-            
-            // Обновляем текущую позицию
-            currentX = targetX;
-            currentY = targetY;
-            
-            // Фиксация взгляда (просто ждём случайное время)
-            const fixationTime = FIXATION_TIME_MIN + Math.random() * (FIXATION_TIME_MAX - FIXATION_TIME_MIN);
-            await delay(fixationTime);
-            
-        } catch (error) {
-            console.debug(DEBUG_PREFIX, 'Error animating eyes:', error);
-            autoAnimationsRunning[character].eyeMovement = false;
-            break;
         }
-    }
-    
-    autoAnimationsRunning[character].eyeMovement = false;
+
+        // Плавная интерполяция к новой позиции (саккада)
+        const progress = Math.min(1, saccade_time / EYE_SACCADE_MS);
+        const eased = progress < 0.5 ? 2 * progress * progress : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+
+        frame.set(EYE_X_PARAM_ID, start['x'] + (target['x'] - start['x']) * eased);
+        frame.set(EYE_Y_PARAM_ID, start['y'] + (target['y'] - start['y']) * eased);
+    });
+}
+
+function autoBlinking(character) {
+    const model = models[character];
+    if (!model) return;
+
+    if (!extension_settings.live2d.autoAnimationsEnabled || !getAutoAnimationSetting(character, 'autoBlinkEnabled')) return;
+
+    if (!attachBlinking(character, model))
+        return;
+
+    let interval = getBlinkInterval(getBlinkRate(character));
+
+    addTickerTask(character, 'blinking', (frame) => {
+        if (!extension_settings.live2d.autoAnimationsEnabled || !getAutoAnimationSetting(character, 'autoBlinkEnabled')) {
+            console.debug(DEBUG_PREFIX, 'Blinking disabled, stopping blinking');
+            detachBlinking(character, model);
+            return false;
+        }
+
+        // Gaze shift blinks also count, the next blink waits a whole interval after them
+        if (timeSinceLastBlink(character) >= interval) {
+            startBlink(character);
+            interval = getBlinkInterval(getBlinkRate(character));
+        }
+
+        updateBlink(character, frame);
+    });
+}
+
+// Blinks per minute, raised while talking and by nervous moods
+function getBlinkRate(character) {
+    const talking = is_talking[character] ? getAutoAnimationSetting(character, 'autoBlinkTalkingMultiplier') : 1;
+    return getAutoAnimationSetting(character, 'autoBlinkRate') * talking * getMoodModifiers(character)['blink_rate'];
 }
 
 // Функция для остановки всех анимаций персонажа
 async function stopAutoAnimations(character) {
     console.debug(DEBUG_PREFIX, 'Stopping auto animations for', character);
     
-    if (autoAnimationsRunning[character]) {
-        autoAnimationsRunning[character].breathing = false;
-        autoAnimationsRunning[character].eyeMovement = false;
-        autoAnimationsRunning[character].microsaccades = false;
-    }
-    
-    // Ждём немного, чтобы циклы завершились
-    await delay(100);
+    // Parameters go back to their value before the animations on the next frame
+    for (const name of AUTO_ANIMATIONS)
+        removeTickerTask(character, name);
+    detachBlinking(character);
 }
 
 // Функция для перезапуска всех анимаций персонажа
@@ -1026,25 +2015,25 @@ async function startAutoAnimations(character) {
     
     console.debug(DEBUG_PREFIX, 'Starting auto animations for', character);
     
-    // Инициализируем объект отслеживания анимаций
-    if (!autoAnimationsRunning[character]) {
-        autoAnimationsRunning[character] = {};
-    }
-    
     // Запускаем дыхание, если ещё не запущено
-    if (!autoAnimationsRunning[character].breathing) {
+    if (!hasTickerTask(character, 'breathing')) {
         autoBreathing(character);
     }
     
     // Запускаем движение глаз, если ещё не запущено
-    if (!autoAnimationsRunning[character].eyeMovement) {
+    if (!hasTickerTask(character, 'eyeMovement')) {
         autoEyeMovement(character);
     }
     
     // Запускаем микросаккады, если ещё не запущены и они включены
-    if (!autoAnimationsRunning[character].microsaccades && extension_settings.live2d.microsaccadesEnabled) {
+    if (!hasTickerTask(character, 'microsaccades') && getAutoAnimationSetting(character, 'microsaccadesEnabled')) {
         autoMicrosaccades(character);
     }
+
+    // Blinks, if they are enabled and not already running
+    if (!hasTickerTask(character, 'blinking') && getAutoAnimationSetting(character, 'autoBlinkEnabled')) {
+        autoBlinking(character);
+    }
 }
 
 // Функция для вывода всех параметров модели в консоль
@@ -0,0 +1,219 @@
+/**
+ * Persistent mood of characters
+ * Each classified message moves the valence (unpleasant/pleasant) and arousal (calm/excited) of the character,
+ * the mood fades back to neutral over time and is saved in the chat metadata.
+ * The mood state shapes idle behaviour: breathing speed, gaze amplitude, body movement and idle motion group.
+ * Idle animations read it every frame, the mood and its modifiers are cached and read again from the chat once in a while.
+ */
+
+import { getContext, extension_settings, saveMetadataDebounced } from '../../../extensions.js';
+import { DEBUG_PREFIX } from './constants.js';
+
+export {
+    MOOD_STATES,
+    MOOD_IDLE_GROUPS_DEFAULT,
+    getMoodCoordinates,
+    updateMood,
+    getMood,
+    getMoodState,
+    getMoodModifiers,
+    resetMood,
+    clearMoodCache,
+};
+
+const MOOD_METADATA_KEY = 'live2d_mood';
+const MOOD_NEUTRAL_RADIUS = 0.25; // Mood closer to neutral than that is the neutral state
+const MOOD_REFRESH_MS = 1000; // The mood fades over minutes, cached values are recomputed after that
+const NEUTRAL_MODIFIERS = { 'breath_speed': 1, 'gaze_amplitude': 1, 'body_intensity': 1, 'blink_rate': 1 };
+
+let mood_cache = {}; // Mood and modifiers of each character: { mood, modifiers, time }
+
+// Quadrants of the valence/arousal plane
+const MOOD_STATES = ['neutral', 'excited', 'content', 'tense', 'sad'];
+
+// Idle motion group of each mood state, none keeps the model idle group
+const MOOD_IDLE_GROUPS_DEFAULT = {
+    'excited': 'none',
+    'content': 'none',
+    'tense': 'none',
+    'sad': 'none',
+};
+
+// Default valence and arousal of the classifier labels (GoEmotions), models can change them for their own labels
+const MOOD_EMOTIONS_DEFAULT = {
+    'admiration': { 'valence': 0.6, 'arousal': 0.3 },
+    'amusement': { 'valence': 0.7, 'arousal': 0.5 },
+    'anger': { 'valence': -0.7, 'arousal': 0.8 },
+    'annoyance': { 'valence': -0.5, 'arousal': 0.4 },
+    'approval': { 'valence': 0.5, 'arousal': 0.1 },
+    'caring': { 'valence': 0.6, 'arousal': 0.1 },
+    'confusion': { 'valence': -0.2, 'arousal': 0.3 },
+    'curiosity': { 'valence': 0.3, 'arousal': 0.4 },
+    'desire': { 'valence': 0.5, 'arousal': 0.6 },
+    'disappointment': { 'valence': -0.6, 'arousal': -0.2 },
+    'disapproval': { 'valence': -0.5, 'arousal': 0.2 },
+    'disgust': { 'valence': -0.7, 'arousal': 0.4 },
+    'embarrassment': { 'valence': -0.4, 'arousal': 0.5 },
+    'excitement': { 'valence': 0.7, 'arousal': 0.8 },
+    'fear': { 'valence': -0.7, 'arousal': 0.7 },
+    'gratitude': { 'valence': 0.7, 'arousal': 0.2 },
+    'grief': { 'valence': -0.8, 'arousal': -0.4 },
+    'joy': { 'valence': 0.8, 'arousal': 0.5 },
+    'love': { 'valence': 0.8, 'arousal': 0.3 },
+    'nervousness': { 'valence': -0.4, 'arousal': 0.6 },
+    'optimism': { 'valence': 0.6, 'arousal': 0.3 },
+    'pride': { 'valence': 0.6, 'arousal': 0.4 },
+    'realization': { 'valence': 0.1, 'arousal': 0.3 },
+    'relief': { 'valence': 0.5, 'arousal': -0.3 },
+    'remorse': { 'valence': -0.6, 'arousal': -0.2 },
+    'sadness': { 'valence': -0.7, 'arousal': -0.4 },
+    'surprise': { 'valence': 0.1, 'arousal': 0.8 },
+    'neutral': { 'valence': 0, 'arousal': 0 },
+};
+
+/**
+ * Returns the valence and arousal of a label for the model of a character: the model value, else the default one.
+ * @param {string} character Character name.
+ * @param {string} label Emotion label.
+ * @param {string} [model_path] Model of the character, its mapped model by default.
+ * @returns {{valence: number, arousal: number}|undefined} Undefined when the label does not move the mood.
+ */
+function getMoodCoordinates(character, label, model_path = extension_settings.live2d.characterModelMapping[character]) {
+    const coordinates = extension_settings.live2d.characterModelsSettings[character]?.[model_path]?.['mood_coordinates']?.[label];
+
+    // null is a label the user took out of the mood
+    if (coordinates === undefined)
+        return MOOD_EMOTIONS_DEFAULT[label];
+    return coordinates ?? undefined;
+}
+
+function clampMood(value) {
+    return Math.max(-1, Math.min(1, value));
+}
+
+/**
+ * Returns the mood of a character in the current chat, faded toward neutral by the time since it last changed.
+ * @param {string} character Character name.
+ * @returns {{valence: number, arousal: number}} Values between -1 and 1.
+ */
+function getMood(character) {
+    return getCachedMood(character).mood;
+}
+
+// Mood read from the chat metadata, see getMood
+function readMood(character) {
+    const saved = getContext().chatMetadata?.[MOOD_METADATA_KEY]?.[character];
+    if (saved === undefined)
+        return { 'valence': 0, 'arousal': 0 };
+
+    const half_life_ms = extension_settings.live2d.moodHalfLife * 60 * 1000;
+    const decay = half_life_ms > 0 ? Math.pow(0.5, (Date.now() - saved['time']) / half_life_ms) : 1;
+
+    return { 'valence': saved['valence'] * decay, 'arousal': saved['arousal'] * decay };
+}
+
+/**
+ * Moves the mood of a character toward the classified emotions of its message.
+ * @param {string} character Character name.
+ * @param {{label: string, score: number}[]} emotions Classified emotions.
+ */
+function updateMood(character, emotions) {
+    if (!extension_settings.live2d.moodEnabled)
+        return;
+
+    let valence = 0;
+    let arousal = 0;
+    let weight = 0;
+    for (const emotion of emotions) {
+        const coordinates = getMoodCoordinates(character, emotion.label);
+        if (coordinates === undefined) {
+            console.debug(DEBUG_PREFIX,'No valence/arousal for label',emotion.label,'of',character,', it does not move the mood');
+            continue;
+        }
+        valence += coordinates['valence'] * emotion.score;
+        arousal += coordinates['arousal'] * emotion.score;
+        weight += emotion.score;
+    }
+
+    if (weight <= 0)
+        return;
+
+    const mood = readMood(character);
+    const influence = extension_settings.live2d.moodInfluence;
+    const metadata = getContext().chatMetadata;
+
+    if (metadata[MOOD_METADATA_KEY] === undefined)
+        metadata[MOOD_METADATA_KEY] = {};
+
+    metadata[MOOD_METADATA_KEY][character] = {
+        'valence': clampMood(mood['valence'] + influence * (valence / weight - mood['valence'])),
+        'arousal': clampMood(mood['arousal'] + influence * (arousal / weight - mood['arousal'])),
+        'time': Date.now(),
+    };
+    saveMetadataDebounced();
+    delete mood_cache[character];
+
+    console.debug(DEBUG_PREFIX,'Mood of',character,'is now',metadata[MOOD_METADATA_KEY][character],getMoodState(character));
+}
+
+function resetMood(character) {
+    const moods = getContext().chatMetadata?.[MOOD_METADATA_KEY];
+    if (moods?.[character] === undefined)
+        return;
+
+    delete moods[character];
+    saveMetadataDebounced();
+    delete mood_cache[character];
+}
+
+// Another chat has other moods
+function clearMoodCache() {
+    mood_cache = {};
+}
+
+function getCachedMood(character) {
+    const now = Date.now();
+    const cached = mood_cache[character];
+    if (cached !== undefined && now - cached['time'] < MOOD_REFRESH_MS)
+        return cached;
+
+    const mood = readMood(character);
+    mood_cache[character] = { 'mood': mood, 'modifiers': computeMoodModifiers(mood), 'time': now };
+    return mood_cache[character];
+}
+
+// One of MOOD_STATES, neutral when mood is disabled
+function getMoodState(character) {
+    if (!extension_settings.live2d.moodEnabled)
+        return 'neutral';
+
+    const mood = getMood(character);
+    if (Math.hypot(mood['valence'], mood['arousal']) < MOOD_NEUTRAL_RADIUS)
+        return 'neutral';
+
+    if (mood['valence'] >= 0)
+        return mood['arousal'] >= 0 ? 'excited' : 'content';
+    return mood['arousal'] >= 0 ? 'tense' : 'sad';
+}
+
+/**
+ * Multipliers applied by the mood to the idle animations, 1 when mood is disabled.
+ * @param {string} character Character name.
+ * @returns {{breath_speed: number, gaze_amplitude: number, body_intensity: number, blink_rate: number}}
+ */
+function getMoodModifiers(character) {
+    if (!extension_settings.live2d.moodEnabled)
+        return NEUTRAL_MODIFIERS;
+
+    return getCachedMood(character).modifiers;
+}
+
+function computeMoodModifiers(mood) {
+    // Excited characters breathe faster, look around and move more, calm ones slow down, nervous ones blink more
+    return {
+        'breath_speed': 1 + 0.5 * mood['arousal'],
+        'gaze_amplitude': 1 + 0.5 * mood['arousal'],
+        'body_intensity': 1 + 0.5 * mood['arousal'] + 0.2 * Math.min(0, mood['valence']),
+        'blink_rate': 1 + 0.5 * Math.max(0, mood['arousal']) - 0.5 * Math.min(0, mood['valence']),
+    };
+}
@@ -0,0 +1,97 @@
+/**
+ * Motion recorder
+ * Records parameter values moved over time into keyframes and builds Cubism motion3.json data from them,
+ * so small motions can be authored from parameter sliders without the Cubism Editor.
+ */
+
+export {
+    startRecording,
+    recordParameter,
+    stopRecording,
+    getMotionSummary,
+};
+
+const RECORDING_FPS = 30;
+const KEYFRAME_MIN_INTERVAL_MS = 1000 / RECORDING_FPS; // Closer changes move the last keyframe instead of adding one
+const MOTION_FADE_S = 0.5;
+
+/**
+ * Starts a recording, each parameter gets a first keyframe with its current value.
+ * @param {Object<string, number>} values Current value of each recorded parameter.
+ * @returns {{start: number, curves: Object<string, number[][]>}} Recording, curves hold [time in ms, value] keyframes.
+ */
+function startRecording(values) {
+    const curves = {};
+    for (const id in values)
+        curves[id] = [[0, values[id]]];
+
+    return { 'start': Date.now(), 'curves': curves };
+}
+
+function recordParameter(recording, id, value) {
+    const time = Date.now() - recording['start'];
+
+    if (recording['curves'][id] === undefined)
+        recording['curves'][id] = [[0, value]];
+
+    const curve = recording['curves'][id];
+    const last = curve[curve.length - 1];
+
+    if (time <= last[0] || (curve.length > 1 && time - last[0] < KEYFRAME_MIN_INTERVAL_MS)) {
+        last[1] = value;
+        return;
+    }
+    curve.push([time, value]);
+}
+
+/**
+ * Ends a recording and converts it to motion3.json data with linear segments.
+ * Every parameter holds its last value until the end of the motion.
+ * @param {{start: number, curves: Object<string, number[][]>}} recording Recording from startRecording.
+ * @returns {object} Motion3 json.
+ */
+function stopRecording(recording) {
+    const duration = Math.max(Date.now() - recording['start'], KEYFRAME_MIN_INTERVAL_MS) / 1000;
+    const curves = [];
+    let segment_count = 0;
+    let point_count = 0;
+
+    for (const id in recording['curves']) {
+        const keyframes = recording['curves'][id];
+        const last = keyframes[keyframes.length - 1];
+        if (last[0] / 1000 < duration)
+            keyframes.push([duration * 1000, last[1]]);
+
+        // First point, then one linear segment (type 0) per following keyframe
+        const segments = [keyframes[0][0] / 1000, keyframes[0][1]];
+        for (const [time, value] of keyframes.slice(1))
+            segments.push(0, time / 1000, value);
+
+        curves.push({ 'Target': 'Parameter', 'Id': id, 'Segments': segments });
+        segment_count += keyframes.length - 1;
+        point_count += keyframes.length;
+    }
+
+    return {
+        'Version': 3,
+        'Meta': {
+            'Duration': duration,
+            'Fps': RECORDING_FPS,
+            'Loop': false,
+            'AreBeziersRestricted': true,
+            'FadeInTime': MOTION_FADE_S,
+            'FadeOutTime': MOTION_FADE_S,
+            'CurveCount': curves.length,
+            'TotalSegmentCount': segment_count,
+            'TotalPointCount': point_count,
+            'UserDataCount': 0,
+            'TotalUserDataSize': 0,
+        },
+        'Curves': curves,
+    };
+}
+
+// Short description of a motion3 json for the settings
+function getMotionSummary(motion) {
+    return `${motion['Meta']['Duration'].toFixed(1)} s, ${motion['Meta']['CurveCount']} parameters, ${motion['Meta']['TotalPointCount']} keyframes`;
+}
@@ -0,0 +1,84 @@
+/**
+ * Keyword and regex trigger rules
+ * Per-model rules mapping words or patterns of a message to an expression and motion,
+ * matched on the whole message, its dialogue (quoted text) or its narration.
+ */
+
+import { DEBUG_PREFIX } from './constants.js';
+
+export {
+    TRIGGER_SCOPES,
+    TRIGGER_MODES,
+    TRIGGER_RULE_DEFAULT,
+    splitDialogue,
+    matchTriggerRule,
+};
+
+const TRIGGER_SCOPES = ['all', 'dialogue', 'narration'];
+
+// override: the rule replaces the classifier, combine: the rule animation is added to the classified one
+const TRIGGER_MODES = ['override', 'combine'];
+
+const TRIGGER_RULE_DEFAULT = {
+    'pattern': '',
+    'regex': false,
+    'scope': 'all',
+    'priority': 0,
+    'mode': 'override',
+    'expression': 'none',
+    'motion': 'none',
+};
+
+const DIALOGUE_REGEX = /"[^"]*"|“[^”]*”|«[^»]*»/g;
+
+/**
+ * Splits a message into dialogue (quoted text) and narration (everything else).
+ * @param {string} text Message text.
+ * @returns {{dialogue: string, narration: string}}
+ */
+function splitDialogue(text) {
+    const dialogue = (text.match(DIALOGUE_REGEX) ?? []).join(' ');
+    const narration = text.replace(DIALOGUE_REGEX, ' ');
+    return { 'dialogue': dialogue, 'narration': narration };
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function ruleMatches(rule, text) {
+    if (!rule['pattern'])
+        return false;
+
+    try {
+        // Keywords match whole words, case insensitive
+        const regex = rule['regex'] ? new RegExp(rule['pattern'], 'iu') : new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegex(rule['pattern'])}(?![\\p{L}\\p{N}_])`, 'iu');
+        return regex.test(text);
+    } catch (error) {
+        console.debug(DEBUG_PREFIX,'Invalid trigger rule pattern',rule['pattern'],error);
+        return false;
+    }
+}
+
+/**
+ * Returns the matching rule of highest priority, the first one in the table when priorities are equal.
+ * @param {object[]} rules Trigger rules of the model.
+ * @param {string} text Message text.
+ * @returns {object|undefined} Matching rule.
+ */
+function matchTriggerRule(rules, text) {
+    if (!text || rules.length == 0)
+        return undefined;
+
+    const parts = { 'all': text, ...splitDialogue(text) };
+    let selected;
+
+    for (const rule of rules) {
+        if (selected !== undefined && rule['priority'] <= selected['priority'])
+            continue;
+        if (ruleMatches(rule, parts[rule['scope']] ?? text))
+            selected = rule;
+    }
+
+    return selected;
+}
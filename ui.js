@@ -1,5 +1,6 @@
 import { saveSettingsDebounced, getRequestHeaders, callPopup } from '../../../../script.js';
 import { getContext, extension_settings, renderExtensionTemplate } from '../../../extensions.js';
+import { download } from '../../../utils.js';
 
 import {
     DEBUG_PREFIX,
@@ -11,15 +12,41 @@ import {
     PARAM_MOUTH_OPEN_Y_DEFAULT,
     ID_PARAM_DEFAULT,
     extensionFolderPath,
+    LIP_SYNC_DEFAULT,
+    VISEME_MAPPING_DEFAULT,
+    EXPRESSION_DECAY_DEFAULT,
+    CLASSIFY_INTENSITY_DEFAULT,
+    SEQUENCE_PREFIX,
+    SEQUENCE_STEP_TYPES,
+    SEQUENCE_STEP_DEFAULT,
+    RECORDED_MOTION_PREFIX,
+    MOTION_OPTIONS_DEFAULT,
 } from './constants.js';
 
+import {
+    TRIGGER_SCOPES,
+    TRIGGER_MODES,
+    TRIGGER_RULE_DEFAULT,
+} from './triggers.js';
+
+import {
+    EXPRESSION_LAYER_BLENDS,
+    EXPRESSION_LAYER_DEFAULT,
+    getExpressionList,
+    setPreviewParameters,
+    readModelParameters,
+} from './expressions.js';
+
 import {
     loadLive2d,
     rescaleModel,
     removeModel,
     moveModel,
-    playExpression,
-    playMotion,
+    playAnimation,
+    playSequence,
+    playRecordedMotion,
+    loadRecordedMotions,
+    applyMoodIdleGroup,
     playTalk,
     setVisible,
 } from './live2d.js';
@@ -28,16 +55,52 @@ import {
     currentChatMembers,
     loadModelParamUi,
     loadAnimationUi,
+    getExpressionSelectValue,
+    parseClassifyLabels,
 } from './utils.js';
 
+import {
+    VISEMES,
+} from './visemes.js';
+
 import {
     startSelectDialog,
 } from './gallery/gallery.js';
 
+import {
+    ANIMATION_PRIORITY,
+} from './animationQueue.js';
+
+import {
+    MOOD_IDLE_GROUPS_DEFAULT,
+    getMoodCoordinates,
+    resetMood,
+} from './mood.js';
+
+import {
+    IDLE_SCHEDULER_DEFAULT,
+} from './idleScheduler.js';
+
+import {
+    AUTO_ANIMATION_PROFILE_DEFAULT,
+    getAutoAnimationSetting,
+    getAutoAnimationSettings,
+} from './animationProfiles.js';
+
+import {
+    startRecording,
+    recordParameter,
+    stopRecording,
+    getMotionSummary,
+} from './motionRecorder.js';
+
 export {
     onEnabledClick,
     onFollowCursorClick,
     onAutoSendInteractionClick,
+    onEmotionTimelineChange,
+    onEmotionBlendChange,
+    onLlmClassifyEndpointChange,
     onForceAnimationClick,
     onShowFramesClick,
     onForceLoopClick,
@@ -51,10 +114,38 @@ export {
     onModelCoordChange,
     onModelEyeOffsetChange,
     onModelMouthChange,
+    onModelLipSyncChange,
     onModelParamChange,
     onModelParamResetClick,
     onModelParamDeleteClick,
     onAnimationMappingChange,
+    onExpressionDecayChange,
+    onClassifyIntensityChange,
+    onIdleSchedulerChange,
+    onClassifyLabelsChange,
+    onClassifyLabelsResetClick,
+    onTriggerRuleAddClick,
+    onCustomExpressionSelectChange,
+    onCustomExpressionSaveClick,
+    onCustomExpressionDeleteClick,
+    onCustomExpressionCaptureClick,
+    onCustomExpressionResetClick,
+    onSequenceSelectChange,
+    onSequenceSaveClick,
+    onSequenceDeleteClick,
+    onSequencePreviewClick,
+    onSequenceAddStepClick,
+    onRecorderAddClick,
+    onRecorderRecordClick,
+    onRecorderPlayClick,
+    onRecorderDownloadClick,
+    onRecordedMotionSelectChange,
+    onRecordedMotionSaveClick,
+    onRecordedMotionDeleteClick,
+    onMoodEnabledClick,
+    onMoodChange,
+    onMoodResetClick,
+    onMoodIdleGroupChange,
     onAutoAnimationsEnabledClick,
     onAutoEyeCenterWeightChange,
     onAutoEyeAmplitudeCenterChange,
@@ -69,6 +160,13 @@ export {
     onMicrosaccadeDurationChange,
     onMicrosaccadeIntervalMinChange,
     onMicrosaccadeIntervalMaxChange,
+    onAutoBlinkEnabledClick,
+    onAutoBlinkChange,
+    loadAutoAnimationSettingsUi,
+    onAutoAnimationPresetChange,
+    onAutoAnimationOwnValuesClick,
+    onAutoAnimationPresetSaveClick,
+    onAutoAnimationPresetDeleteClick,
     onRestartAnimationsClick,
     onResetCustomParamClick,
     onLogParametersClick,
@@ -91,6 +189,12 @@ export {
 
 let characters_list = [];
 let characters_models = {};
+let model_animations = { 'expressions': [], 'motions': {}, 'sequences': [] }; // Expressions, motions and sequence names of the model shown in the settings
+let sequence_steps = []; // Steps of the sequence being edited, saved with the save button
+let recorder_tracks = {}; // Value of each parameter slider of the motion recorder
+let recording; // Recording in progress, see startRecording
+let recorded_motion; // Motion3 json of the last recording or of the selected recorded motion
+let model_parameters = []; // Parameter ids of the model shown in the settings with their range: [{ id, min, max, default }]
 
 async function onEnabledClick() {
     extension_settings.live2d.enabled = $('#live2d_enabled_checkbox').is(':checked');
@@ -111,6 +215,60 @@ async function onAutoSendInteractionClick() {
     saveSettingsDebounced();
 }
 
+async function onEmotionTimelineChange() {
+    extension_settings.live2d.emotionTimeline = String($('#live2d_emotion_timeline_select').val());
+    saveSettingsDebounced();
+}
+
+async function onEmotionBlendChange() {
+    extension_settings.live2d.emotionBlendCount = Number($('#live2d_emotion_blend_count').val());
+    extension_settings.live2d.emotionMinConfidence = Number($('#live2d_emotion_min_confidence').val());
+    $('#live2d_emotion_blend_count_value').text(extension_settings.live2d.emotionBlendCount);
+    $('#live2d_emotion_min_confidence_value').text(extension_settings.live2d.emotionMinConfidence);
+    saveSettingsDebounced();
+}
+
+async function onMoodEnabledClick() {
+    extension_settings.live2d.moodEnabled = $('#live2d_mood_enabled').is(':checked');
+    saveSettingsDebounced();
+
+    for (const character of currentChatMembers())
+        applyMoodIdleGroup(character);
+}
+
+async function onMoodChange() {
+    extension_settings.live2d.moodInfluence = Number($('#live2d_mood_influence').val());
+    extension_settings.live2d.moodHalfLife = Number($('#live2d_mood_half_life').val());
+    $('#live2d_mood_influence_value').text(extension_settings.live2d.moodInfluence);
+    $('#live2d_mood_half_life_value').text(extension_settings.live2d.moodHalfLife);
+    saveSettingsDebounced();
+}
+
+// Puts the characters of the current chat back in a neutral mood
+async function onMoodResetClick() {
+    for (const character of currentChatMembers()) {
+        resetMood(character);
+        applyMoodIdleGroup(character);
+    }
+    console.debug(DEBUG_PREFIX,'Reset mood of chat members');
+}
+
+async function onMoodIdleGroupChange(state) {
+    const character = String($('#live2d_character_select').val());
+    const model_path = String($('#live2d_model_select').val());
+
+    extension_settings.live2d.characterModelsSettings[character][model_path]['mood_idle_groups'][state] = String($(`#live2d_mood_idle_group_${state}`).val());
+    saveSettingsDebounced();
+    applyMoodIdleGroup(character);
+
+    console.debug(DEBUG_PREFIX,'Updated mood idle groups of',character,':',extension_settings.live2d.characterModelsSettings[character][model_path]['mood_idle_groups']);
+}
+
+async function onLlmClassifyEndpointChange() {
+    extension_settings.live2d.llmClassifyEndpoint = String($('#live2d_llm_classify_endpoint').val()).trim();
+    saveSettingsDebounced();
+}
+
 async function onForceAnimationClick() {
     extension_settings.live2d.force_animation = $('#live2d_force_animation_checkbox').is(':checked');
     saveSettingsDebounced();
@@ -263,6 +421,7 @@ async function onModelMouthChange() {
     const character = String($('#live2d_character_select').val());
     const model_path = String($('#live2d_model_select').val());
     extension_settings.live2d.characterModelsSettings[character][model_path]['param_mouth_open_y_id'] = $('#live2d_model_param_mouth_open_y_select').val();
+    extension_settings.live2d.characterModelsSettings[character][model_path]['param_mouth_form_id'] = $('#live2d_model_param_mouth_form_select').val();
 
     extension_settings.live2d.characterModelsSettings[character][model_path]['mouth_open_speed'] = Number($('#live2d_model_mouth_open_speed').val());
     $('#live2d_model_mouth_open_speed_value').text(extension_settings.live2d.characterModelsSettings[character][model_path]['mouth_open_speed']);
@@ -276,6 +435,22 @@ async function onModelMouthChange() {
     playTalk(character, TEST_MESSAGE);
 }
 
+async function onModelLipSyncChange() {
+    const character = String($('#live2d_character_select').val());
+    const model_path = String($('#live2d_model_select').val());
+
+    extension_settings.live2d.characterModelsSettings[character][model_path]['lip_sync_gain'] = Number($('#live2d_model_lip_sync_gain').val());
+    $('#live2d_model_lip_sync_gain_value').text(extension_settings.live2d.characterModelsSettings[character][model_path]['lip_sync_gain']);
+
+    extension_settings.live2d.characterModelsSettings[character][model_path]['lip_sync_noise_gate'] = Number($('#live2d_model_lip_sync_noise_gate').val());
+    $('#live2d_model_lip_sync_noise_gate_value').text(extension_settings.live2d.characterModelsSettings[character][model_path]['lip_sync_noise_gate']);
+
+    extension_settings.live2d.characterModelsSettings[character][model_path]['lip_sync_smoothing'] = Number($('#live2d_model_lip_sync_smoothing').val());
+    $('#live2d_model_lip_sync_smoothing_value').text(extension_settings.live2d.characterModelsSettings[character][model_path]['lip_sync_smoothing']);
+
+    saveSettingsDebounced();
+}
+
 async function onModelParamChange() {
     const character = String($('#live2d_character_select').val());
     const model_path = String($('#live2d_model_select').val());
@@ -305,9 +480,9 @@ async function onModelParamResetClick(param_select_id, param_id) {
     // Free memory
     model.destroy(true, true, true);
 
-    // Mouth param
-    if (param_id == 'ParamMouthOpenY') {
-        loadModelParamUi(character, model_path, model_parameter_ids, 'live2d_model_param_mouth_open_y_select', 'ParamMouthOpenY', false, true);
+    // Mouth params
+    if (param_id == 'ParamMouthOpenY' || param_id == 'ParamMouthForm') {
+        loadModelParamUi(character, model_path, model_parameter_ids, param_select_id, param_id, false, true);
         return;
     }
 
@@ -322,10 +497,13 @@ async function onModelParamDeleteClick(param_select_id, param_id) {
     const character = String($('#live2d_character_select').val());
     const model_path = String($('#live2d_model_select').val());
 
-    // Mouth param
+    // Mouth params
     if (param_id == 'ParamMouthOpenY') {
         extension_settings.live2d.characterModelsSettings[character][model_path]['param_mouth_open_y_id'] = 'none';
     }
+    else if (param_id == 'ParamMouthForm') {
+        extension_settings.live2d.characterModelsSettings[character][model_path]['param_mouth_form_id'] = 'none';
+    }
     else {
         extension_settings.live2d.characterModelsSettings[character][model_path]['cursor_param'][param_id] = 'none';
     }
@@ -353,26 +531,39 @@ async function onAnimationMappingChange(type) {
             extension_settings.live2d.characterModelsSettings[character][model_path]['animation_starter']['expression'] = expression;
             extension_settings.live2d.characterModelsSettings[character][model_path]['animation_starter']['motion'] = motion;
             extension_settings.live2d.characterModelsSettings[character][model_path]['animation_starter']['delay'] = delay;
+            extension_settings.live2d.characterModelsSettings[character][model_path]['animation_starter']['motion_options'] = getMotionOptionsValue('live2d_starter_motion_options');
             console.debug(DEBUG_PREFIX,'Updated animation_starter of',character,':',extension_settings.live2d.characterModelsSettings[character][model_path]['animation_starter']);
             break;
 
         case 'animation_default':
-            expression = $('#live2d_default_expression_select').val();
+            expression = getExpressionSelectValue('live2d_default_expression_select');
             motion = $('#live2d_default_motion_select').val();
 
             extension_settings.live2d.characterModelsSettings[character][model_path]['animation_default']['expression'] = expression;
             extension_settings.live2d.characterModelsSettings[character][model_path]['animation_default']['motion'] = motion;
+            extension_settings.live2d.characterModelsSettings[character][model_path]['animation_default']['motion_options'] = getMotionOptionsValue('live2d_default_motion_options');
             console.debug(DEBUG_PREFIX,'Updated animation_default of',character,':',extension_settings.live2d.characterModelsSettings[character][model_path]['animation_default']);
             break;
 
+        case 'animation_resting':
+            expression = $('#live2d_resting_expression_select').val();
+            motion = $('#live2d_resting_motion_select').val();
+
+            extension_settings.live2d.characterModelsSettings[character][model_path]['animation_resting']['expression'] = expression;
+            extension_settings.live2d.characterModelsSettings[character][model_path]['animation_resting']['motion'] = motion;
+            extension_settings.live2d.characterModelsSettings[character][model_path]['animation_resting']['motion_options'] = getMotionOptionsValue('live2d_resting_motion_options');
+            console.debug(DEBUG_PREFIX,'Updated animation_resting of',character,':',extension_settings.live2d.characterModelsSettings[character][model_path]['animation_resting']);
+            break;
+
         case 'animation_click':
-            expression = $('#live2d_hit_area_default_expression_select').val();
+            expression = getExpressionSelectValue('live2d_hit_area_default_expression_select');
             motion = $('#live2d_hit_area_default_motion_select').val();
             message = $('#live2d_hit_area_default_message').val();
 
             extension_settings.live2d.characterModelsSettings[character][model_path]['animation_click']['expression'] = expression;
             extension_settings.live2d.characterModelsSettings[character][model_path]['animation_click']['motion'] = motion;
             extension_settings.live2d.characterModelsSettings[character][model_path]['animation_click']['message'] = message;
+            extension_settings.live2d.characterModelsSettings[character][model_path]['animation_click']['motion_options'] = getMotionOptionsValue('live2d_hit_area_default_motion_options');
             console.debug(DEBUG_PREFIX,'Updated animation_click of',character,':',extension_settings.live2d.characterModelsSettings[character][model_path]['animation_click']);
             break;
 
@@ -383,11 +574,77 @@ async function onAnimationMappingChange(type) {
 
     saveSettingsDebounced();
 
-    if (motion != 'none')
-        await playMotion(character, motion, true);
+    await playAnimation(character, expression, motion, ANIMATION_PRIORITY.script, true, getPreviewMotionOptions(extension_settings.live2d.characterModelsSettings[character][model_path][type]?.['motion_options']));
+}
+
+// Playback options of the motion of a mapping, shown under its motion select
+function loadMotionOptionsUi(id, motion_options) {
+    const priorities = ['default', ...Object.keys(ANIMATION_PRIORITY)].map(priority => `<option value="${priority}">${priority}</option>`).join('');
+    const options = { ...MOTION_OPTIONS_DEFAULT, ...(motion_options ?? {}) };
+
+    $(`#${id}`).html(`
+    <div class="live2d-viseme-div live2d-motion-options-div">
+        <label for="${id}_loop"><small>plays</small></label>
+        <input id="${id}_loop" type="number" class="text_pole" min="0" step="1" title="Number of plays, 0 loops until another animation replaces it" />
+        <label for="${id}_speed"><small>speed</small></label>
+        <input id="${id}_speed" type="number" class="text_pole" min="0.1" max="5" step="0.1" title="Playback speed (Cubism 3+ models)" />
+        <label for="${id}_fade_in"><small>in</small></label>
+        <input id="${id}_fade_in" type="number" class="text_pole" min="-1" max="10000" step="100" title="Fade-in (ms), -1 keeps the one of the motion file" />
+        <label for="${id}_fade_out"><small>out</small></label>
+        <input id="${id}_fade_out" type="number" class="text_pole" min="-1" max="10000" step="100" title="Fade-out (ms), -1 keeps the one of the motion file" />
+        <select id="${id}_priority" title="Priority in the animation queue, default keeps the one of the mapping">${priorities}</select>
+    </div>
+    `);
+
+    for (const field in MOTION_OPTIONS_DEFAULT)
+        $(`#${id}_${field}`).val(options[field]);
+}
+
+function getMotionOptionsValue(id) {
+    const fade = value => Number.isFinite(value) && value >= 0 ? value : -1;
+    return {
+        'loop': Math.max(0, Math.round(Number($(`#${id}_loop`).val()) || 0)),
+        'speed': Math.min(5, Math.max(0.1, Number($(`#${id}_speed`).val()) || 1)),
+        'fade_in': fade(Number($(`#${id}_fade_in`).val())),
+        'fade_out': fade(Number($(`#${id}_fade_out`).val())),
+        'priority': String($(`#${id}_priority`).val()),
+    };
+}
+
+// Previews play endless loops once, they would hold the animation queue
+function getPreviewMotionOptions(motion_options) {
+    const options = { ...MOTION_OPTIONS_DEFAULT, ...(motion_options ?? {}) };
+    return { ...options, 'loop': options['loop'] || 1 };
+}
+
+async function onExpressionDecayChange() {
+    const character = String($('#live2d_character_select').val());
+    const model_path = String($('#live2d_model_select').val());
+    const decay = extension_settings.live2d.characterModelsSettings[character][model_path]['expression_decay'];
+
+    decay['enabled'] = $('#live2d_expression_decay_enabled').is(':checked');
+    decay['hold'] = Number($('#live2d_expression_decay_hold').val());
+    $('#live2d_expression_decay_hold_value').text(decay['hold']);
+
+    saveSettingsDebounced();
+    console.debug(DEBUG_PREFIX,'Updated expression decay of',character,':',decay);
+}
+
+async function onClassifyIntensityChange() {
+    const character = String($('#live2d_character_select').val());
+    const model_path = String($('#live2d_model_select').val());
+    const intensity = extension_settings.live2d.characterModelsSettings[character][model_path]['classify_intensity'];
+
+    intensity['enabled'] = $('#live2d_classify_intensity_enabled').is(':checked');
+    intensity['full_score'] = Number($('#live2d_classify_intensity_full_score').val());
+    intensity['min_weight'] = Number($('#live2d_classify_intensity_min_weight').val());
+    intensity['strong_score'] = Number($('#live2d_classify_intensity_strong_score').val());
+    $('#live2d_classify_intensity_full_score_value').text(intensity['full_score']);
+    $('#live2d_classify_intensity_min_weight_value').text(intensity['min_weight']);
+    $('#live2d_classify_intensity_strong_score_value').text(intensity['strong_score']);
 
-    if (expression != 'none')
-        await playExpression(character, expression);
+    saveSettingsDebounced();
+    console.debug(DEBUG_PREFIX,'Updated classify intensity of',character,':',intensity);
 }
 
 async function loadModelUi() {
@@ -412,8 +669,19 @@ async function loadModelUi() {
     let model_motions = model.internalModel.settings.motions;
     let model_hit_areas = model.internalModel.hitAreas;
     let model_parameter_ids = model.internalModel.coreModel._model?.parameters?.ids ?? []; // Some model have it there
+    const recordable = model.internalModel.motionManager.motionDataType == 'json'; // Recorded motion3.json needs a Cubism 3+ model
     let user_settings_exists = true;
 
+    // Ranges for the custom expression editor
+    const core_parameters = model.internalModel.coreModel._model?.parameters;
+    model_parameters = model_parameter_ids.map((id, index) => ({
+        'id': id,
+        'min': core_parameters.minimumValues?.[index] ?? -1,
+        'max': core_parameters.maximumValues?.[index] ?? 1,
+        'default': core_parameters.defaultValues?.[index] ?? 0,
+    }));
+    model_parameters.sort((a, b) => a.id.localeCompare(b.id));
+
     // Free memory
     model.destroy(true, true, true);
 
@@ -460,8 +728,11 @@ async function loadModelUi() {
                 'idParamEyeBallY' : 'none',
             },
             'param_mouth_open_y_id': 'none',
+            'param_mouth_form_id': 'none',
+            'viseme_mapping': structuredClone(VISEME_MAPPING_DEFAULT),
             'mouth_open_speed': 1.0,
             'mouth_time_per_character': 30,
+            ...LIP_SYNC_DEFAULT,
             'mouth_linked_params': {
                 'param1': { 'paramId': '', 'minValue': 0, 'maxValue': 30 },
                 'param2': { 'paramId': '', 'minValue': 0, 'maxValue': -15 },
@@ -469,13 +740,26 @@ async function loadModelUi() {
             },
             'animation_starter': { 'expression': 'none', 'motion': 'none', 'delay': 0 },
             'animation_default': { 'expression': 'none', 'motion': 'none' },
+            'animation_resting': { 'expression': 'none', 'motion': 'none' },
+            'expression_decay': structuredClone(EXPRESSION_DECAY_DEFAULT),
+            'expression_layers': {},
+            'custom_expressions': {},
+            'sequences': {},
+            'recorded_motions': {},
+            'mood_idle_groups': structuredClone(MOOD_IDLE_GROUPS_DEFAULT),
+            'mood_coordinates': {},
+            'idle_scheduler': structuredClone(IDLE_SCHEDULER_DEFAULT),
+            'auto_animation_profile': structuredClone(AUTO_ANIMATION_PROFILE_DEFAULT),
             'animation_click': { 'expression': 'none', 'motion': 'none', 'message': '' },
             'hit_areas': {},
+            'trigger_rules': [],
+            'classify_labels': [...CLASSIFY_EXPRESSIONS],
+            'classify_intensity': structuredClone(CLASSIFY_INTENSITY_DEFAULT),
             'classify_mapping': {},
         };
 
         for (const expression of CLASSIFY_EXPRESSIONS) {
-            extension_settings.live2d.characterModelsSettings[character][model_path]['classify_mapping'][expression] = { 'expression': 'none', 'motion': 'none' };
+            extension_settings.live2d.characterModelsSettings[character][model_path]['classify_mapping'][expression] = { 'expression': 'none', 'motion': 'none', 'motion_strong': 'none' };
         }
 
         for (const area in model_hit_areas) {
@@ -513,6 +797,21 @@ async function loadModelUi() {
     $('#live2d_model_mouth_open_speed').val(extension_settings.live2d.characterModelsSettings[character][model_path]['mouth_open_speed']);
     $('#live2d_model_mouth_open_speed_value').text(extension_settings.live2d.characterModelsSettings[character][model_path]['mouth_open_speed']);
 
+    // Lip sync settings, added to models configured before audio lip sync existed
+    for (const key in LIP_SYNC_DEFAULT) {
+        if (extension_settings.live2d.characterModelsSettings[character][model_path][key] === undefined) {
+            extension_settings.live2d.characterModelsSettings[character][model_path][key] = LIP_SYNC_DEFAULT[key];
+            saveSettingsDebounced();
+        }
+    }
+
+    $('#live2d_model_lip_sync_gain').val(extension_settings.live2d.characterModelsSettings[character][model_path]['lip_sync_gain']);
+    $('#live2d_model_lip_sync_gain_value').text(extension_settings.live2d.characterModelsSettings[character][model_path]['lip_sync_gain']);
+    $('#live2d_model_lip_sync_noise_gate').val(extension_settings.live2d.characterModelsSettings[character][model_path]['lip_sync_noise_gate']);
+    $('#live2d_model_lip_sync_noise_gate_value').text(extension_settings.live2d.characterModelsSettings[character][model_path]['lip_sync_noise_gate']);
+    $('#live2d_model_lip_sync_smoothing').val(extension_settings.live2d.characterModelsSettings[character][model_path]['lip_sync_smoothing']);
+    $('#live2d_model_lip_sync_smoothing_value').text(extension_settings.live2d.characterModelsSettings[character][model_path]['lip_sync_smoothing']);
+
     $('#live2d_model_mouth_time_per_character').val(extension_settings.live2d.characterModelsSettings[character][model_path]['mouth_time_per_character']);
     $('#live2d_model_mouth_time_per_character_value').text(extension_settings.live2d.characterModelsSettings[character][model_path]['mouth_time_per_character']);
 
@@ -542,6 +841,39 @@ async function loadModelUi() {
 	// MouthAnimations
     loadModelParamUi(character, model_path, model_parameter_ids, 'live2d_model_param_mouth_open_y_select', 'ParamMouthOpenY', user_settings_exists);
 
+    // Mouth form parameter, searched for models configured before visemes existed
+    let mouth_form_exists = user_settings_exists;
+    if (extension_settings.live2d.characterModelsSettings[character][model_path]['param_mouth_form_id'] === undefined) {
+        extension_settings.live2d.characterModelsSettings[character][model_path]['param_mouth_form_id'] = 'none';
+        mouth_form_exists = false;
+        saveSettingsDebounced();
+    }
+    loadModelParamUi(character, model_path, model_parameter_ids, 'live2d_model_param_mouth_form_select', 'ParamMouthForm', mouth_form_exists);
+
+    // Viseme mouth shapes
+    if (extension_settings.live2d.characterModelsSettings[character][model_path]['viseme_mapping'] === undefined) {
+        extension_settings.live2d.characterModelsSettings[character][model_path]['viseme_mapping'] = structuredClone(VISEME_MAPPING_DEFAULT);
+        saveSettingsDebounced();
+    }
+
+    const viseme_ui = $('#live2d_viseme_mapping');
+    viseme_ui.empty();
+    for (const viseme of VISEMES) {
+        const viseme_settings = extension_settings.live2d.characterModelsSettings[character][model_path]['viseme_mapping'][viseme] ?? VISEME_MAPPING_DEFAULT[viseme];
+        viseme_ui.append(`
+        <div class="live2d-viseme-div">
+            <span>${viseme}</span>
+            <label for="live2d_viseme_open_${viseme}"><small>open</small></label>
+            <input id="live2d_viseme_open_${viseme}" type="number" class="text_pole" min="0" max="1" step="0.05" value="${viseme_settings['open']}" />
+            <label for="live2d_viseme_form_${viseme}"><small>form</small></label>
+            <input id="live2d_viseme_form_${viseme}" type="number" class="text_pole" min="-1" max="1" step="0.05" value="${viseme_settings['form']}" />
+        </div>
+        `);
+
+        $(`#live2d_viseme_open_${viseme}`).on('input', function () { updateVisemeMapping(viseme); });
+        $(`#live2d_viseme_form_${viseme}`).on('input', function () { updateVisemeMapping(viseme); });
+    }
+
     // Load mouth-linked parameters for this character and model
     if (extension_settings.live2d.characterModelsSettings[character][model_path]['mouth_linked_params']) {
         $('#live2d_mouth_linked_param_id_1').val(extension_settings.live2d.characterModelsSettings[character][model_path]['mouth_linked_params']['param1']['paramId']);
@@ -585,6 +917,34 @@ async function loadModelUi() {
     loadModelParamUi(character, model_path, model_parameter_ids, 'live2d_model_param_eye_x_select', 'idParamEyeBallX', user_settings_exists);
     loadModelParamUi(character, model_path, model_parameter_ids, 'live2d_model_param_eye_y_select', 'idParamEyeBallY', user_settings_exists);
 
+    // Custom expressions, added after the first model settings, are listed with the model expressions
+    if (extension_settings.live2d.characterModelsSettings[character][model_path]['custom_expressions'] === undefined) {
+        extension_settings.live2d.characterModelsSettings[character][model_path]['custom_expressions'] = {};
+        saveSettingsDebounced();
+    }
+    const custom_expressions = Object.keys(extension_settings.live2d.characterModelsSettings[character][model_path]['custom_expressions']);
+    model_expressions = [...model_expressions, ...custom_expressions.map(name => ({ 'Name': name, 'File': 'custom' }))];
+    loadCustomExpressionUi(character, model_path, '');
+
+    // Sequences, added after the first model settings, are listed with the model motions
+    if (extension_settings.live2d.characterModelsSettings[character][model_path]['sequences'] === undefined) {
+        extension_settings.live2d.characterModelsSettings[character][model_path]['sequences'] = {};
+        saveSettingsDebounced();
+    }
+    const model_sequences = Object.keys(extension_settings.live2d.characterModelsSettings[character][model_path]['sequences']);
+
+    // Recorded motions, added after the first model settings, are listed with the model motions
+    if (extension_settings.live2d.characterModelsSettings[character][model_path]['recorded_motions'] === undefined) {
+        extension_settings.live2d.characterModelsSettings[character][model_path]['recorded_motions'] = {};
+        saveSettingsDebounced();
+    }
+    if (recordable) {
+        model_motions = { ...model_motions };
+        for (const name of Object.keys(extension_settings.live2d.characterModelsSettings[character][model_path]['recorded_motions']))
+            model_motions[RECORDED_MOTION_PREFIX + name] = [{ 'File': `${name}.motion3.json` }];
+    }
+    loadMotionRecorderUi(character, model_path, '', recordable);
+
     // Starter expression/motion
     loadAnimationUi(
         model_expressions,
@@ -592,7 +952,8 @@ async function loadModelUi() {
         'live2d_starter_expression_select',
         'live2d_starter_motion_select',
         extension_settings.live2d.characterModelsSettings[character][model_path]['animation_starter']['expression'],
-        extension_settings.live2d.characterModelsSettings[character][model_path]['animation_starter']['motion']);
+        extension_settings.live2d.characterModelsSettings[character][model_path]['animation_starter']['motion'],
+        model_sequences);
     $('#live2d_starter_delay').val(extension_settings.live2d.characterModelsSettings[character][model_path]['animation_starter']['delay']);
     $('#live2d_starter_delay_value').text(extension_settings.live2d.characterModelsSettings[character][model_path]['animation_starter']['delay']);
 
@@ -603,7 +964,51 @@ async function loadModelUi() {
         'live2d_default_expression_select',
         'live2d_default_motion_select',
         extension_settings.live2d.characterModelsSettings[character][model_path]['animation_default']['expression'],
-        extension_settings.live2d.characterModelsSettings[character][model_path]['animation_default']['motion']);
+        extension_settings.live2d.characterModelsSettings[character][model_path]['animation_default']['motion'],
+        model_sequences);
+
+    // Resting expression/motion and decay, added after the first model settings
+    if (extension_settings.live2d.characterModelsSettings[character][model_path]['animation_resting'] === undefined) {
+        extension_settings.live2d.characterModelsSettings[character][model_path]['animation_resting'] = { 'expression': 'none', 'motion': 'none' };
+        saveSettingsDebounced();
+    }
+    if (extension_settings.live2d.characterModelsSettings[character][model_path]['expression_decay'] === undefined) {
+        extension_settings.live2d.characterModelsSettings[character][model_path]['expression_decay'] = structuredClone(EXPRESSION_DECAY_DEFAULT);
+        saveSettingsDebounced();
+    }
+    loadAnimationUi(
+        model_expressions,
+        model_motions,
+        'live2d_resting_expression_select',
+        'live2d_resting_motion_select',
+        extension_settings.live2d.characterModelsSettings[character][model_path]['animation_resting']['expression'],
+        extension_settings.live2d.characterModelsSettings[character][model_path]['animation_resting']['motion'],
+        model_sequences);
+
+    // Expression layers, added after the first model settings
+    if (extension_settings.live2d.characterModelsSettings[character][model_path]['expression_layers'] === undefined) {
+        extension_settings.live2d.characterModelsSettings[character][model_path]['expression_layers'] = {};
+        saveSettingsDebounced();
+    }
+    loadExpressionLayersUi(character, model_path, model_expressions);
+
+    // Idle motion group of each mood, added after the first model settings
+    if (extension_settings.live2d.characterModelsSettings[character][model_path]['mood_idle_groups'] === undefined) {
+        extension_settings.live2d.characterModelsSettings[character][model_path]['mood_idle_groups'] = structuredClone(MOOD_IDLE_GROUPS_DEFAULT);
+        saveSettingsDebounced();
+    }
+    loadMoodIdleGroupsUi(character, model_path, model_motions);
+
+    // Weighted idle motions, added after the first model settings
+    if (extension_settings.live2d.characterModelsSettings[character][model_path]['idle_scheduler'] === undefined) {
+        extension_settings.live2d.characterModelsSettings[character][model_path]['idle_scheduler'] = structuredClone(IDLE_SCHEDULER_DEFAULT);
+        saveSettingsDebounced();
+    }
+    loadIdleSchedulerUi(character, model_path, model_motions);
+
+    $('#live2d_expression_decay_enabled').prop('checked', extension_settings.live2d.characterModelsSettings[character][model_path]['expression_decay']['enabled']);
+    $('#live2d_expression_decay_hold').val(extension_settings.live2d.characterModelsSettings[character][model_path]['expression_decay']['hold']);
+    $('#live2d_expression_decay_hold_value').text(extension_settings.live2d.characterModelsSettings[character][model_path]['expression_decay']['hold']);
 
     // Default click animation
     loadAnimationUi(
@@ -612,9 +1017,22 @@ async function loadModelUi() {
         'live2d_hit_area_default_expression_select',
         'live2d_hit_area_default_motion_select',
         extension_settings.live2d.characterModelsSettings[character][model_path]['animation_click']['expression'],
-        extension_settings.live2d.characterModelsSettings[character][model_path]['animation_click']['motion']);
+        extension_settings.live2d.characterModelsSettings[character][model_path]['animation_click']['motion'],
+        model_sequences);
     $('#live2d_hit_area_default_message').val(extension_settings.live2d.characterModelsSettings[character][model_path]['animation_click']['message']);
 
+    // Motion playback options, mappings saved before them play their motion once
+    const motion_options_ui = {
+        'animation_starter': 'live2d_starter_motion_options',
+        'animation_default': 'live2d_default_motion_options',
+        'animation_resting': 'live2d_resting_motion_options',
+        'animation_click': 'live2d_hit_area_default_motion_options',
+    };
+    for (const type in motion_options_ui) {
+        loadMotionOptionsUi(motion_options_ui[type], extension_settings.live2d.characterModelsSettings[character][model_path][type]['motion_options']);
+        $(`#${motion_options_ui[type]} :input`).on('change', () => {onAnimationMappingChange(type);});
+    }
+
     // Hit areas mapping
     for (const hit_area in model_hit_areas) {
         hit_areas_ui.append(`
@@ -626,7 +1044,7 @@ async function loadModelUi() {
         </div>
         <div>
             <div class="live2d-select-div">
-                <select id="live2d_hit_area_expression_select_${hit_area}">
+                <select id="live2d_hit_area_expression_select_${hit_area}" multiple title="Ctrl+click to select several expressions played as layers">
                 </select>
                 <div id="live2d_hit_area_expression_replay_${hit_area}" class="live2d_replay_button menu_button">
                     <i class="fa-solid fa-arrow-rotate-left"></i>
@@ -639,6 +1057,8 @@ async function loadModelUi() {
                     <i class="fa-solid fa-arrow-rotate-left"></i>
                 </div>
             </div>
+            <div id="live2d_hit_area_motion_options_${hit_area}">
+            </div>
             <textarea id="live2d_hit_area_message_${hit_area}" type="text" class="text_pole textarea_compact" rows="2"
         placeholder="Write message te send when clicking the area."></textarea>
         </div>
@@ -651,9 +1071,12 @@ async function loadModelUi() {
             `live2d_hit_area_expression_select_${hit_area}`,
             `live2d_hit_area_motion_select_${hit_area}`,
             extension_settings.live2d.characterModelsSettings[character][model_path]['hit_areas'][hit_area]['expression'],
-            extension_settings.live2d.characterModelsSettings[character][model_path]['hit_areas'][hit_area]['motion']);
+            extension_settings.live2d.characterModelsSettings[character][model_path]['hit_areas'][hit_area]['motion'],
+            model_sequences);
 
         $(`#live2d_hit_area_message_${hit_area}`).val(extension_settings.live2d.characterModelsSettings[character][model_path]['hit_areas'][hit_area]['message']);
+        loadMotionOptionsUi(`live2d_hit_area_motion_options_${hit_area}`, extension_settings.live2d.characterModelsSettings[character][model_path]['hit_areas'][hit_area]['motion_options']);
+        $(`#live2d_hit_area_motion_options_${hit_area} :input`).on('change', function () { updateHitAreaMapping(hit_area); });
 
         $(`#live2d_hit_area_expression_select_${hit_area}`).on('change', function () { updateHitAreaMapping(hit_area); });
         $(`#live2d_hit_area_motion_select_${hit_area}`).on('change', function () { updateHitAreaMapping(hit_area); });
@@ -662,8 +1085,38 @@ async function loadModelUi() {
         $(`#live2d_hit_area_motion_replay_${hit_area}`).on('click', function () { updateHitAreaMapping(hit_area); });
     }
 
+    // Emotion labels, models configured before label sets use the labels of their mapping
+    if (extension_settings.live2d.characterModelsSettings[character][model_path]['classify_labels'] === undefined) {
+        const mapped_labels = Object.keys(extension_settings.live2d.characterModelsSettings[character][model_path]['classify_mapping'] ?? {});
+        extension_settings.live2d.characterModelsSettings[character][model_path]['classify_labels'] = mapped_labels.length > 0 ? mapped_labels : [...CLASSIFY_EXPRESSIONS];
+        console.debug(DEBUG_PREFIX,'Migrated emotion labels of',character,model_path);
+        saveSettingsDebounced();
+    }
+    const classify_labels = extension_settings.live2d.characterModelsSettings[character][model_path]['classify_labels'];
+    addClassifyMappings(character, model_path, classify_labels);
+    $('#live2d_classify_labels').val(classify_labels.join(', '));
+
+    // Confidence driven intensity, added after the first model settings
+    if (extension_settings.live2d.characterModelsSettings[character][model_path]['classify_intensity'] === undefined) {
+        extension_settings.live2d.characterModelsSettings[character][model_path]['classify_intensity'] = structuredClone(CLASSIFY_INTENSITY_DEFAULT);
+        saveSettingsDebounced();
+    }
+    const classify_intensity = extension_settings.live2d.characterModelsSettings[character][model_path]['classify_intensity'];
+    $('#live2d_classify_intensity_enabled').prop('checked', classify_intensity['enabled']);
+    for (const field of ['full_score', 'min_weight', 'strong_score']) {
+        $(`#live2d_classify_intensity_${field}`).val(classify_intensity[field]);
+        $(`#live2d_classify_intensity_${field}_value`).text(classify_intensity[field]);
+    }
+
+    // Valence/arousal of the labels changed for this model, added after the first model settings
+    if (extension_settings.live2d.characterModelsSettings[character][model_path]['mood_coordinates'] === undefined) {
+        extension_settings.live2d.characterModelsSettings[character][model_path]['mood_coordinates'] = {};
+        saveSettingsDebounced();
+    }
+
     // Classify expressions mapping
-    for (const expression of CLASSIFY_EXPRESSIONS) {
+    for (const expression of classify_labels) {
+        const mood_coordinates = getMoodCoordinates(character, expression, model_path);
         expression_ui.append(`
     <div class="live2d-parameter">
         <div class="live2d-parameter-title">
@@ -673,7 +1126,7 @@ async function loadModelUi() {
         </div>
         <div>
             <div class="live2d-select-div">
-                <select id="live2d_expression_select_${expression}">
+                <select id="live2d_expression_select_${expression}" multiple title="Ctrl+click to select several expressions played as layers">
                 </select>
                 <div id="live2d_expression_replay_${expression}" class="live2d_replay_button menu_button">
                     <i class="fa-solid fa-arrow-rotate-left"></i>
@@ -686,6 +1139,27 @@ async function loadModelUi() {
                     <i class="fa-solid fa-arrow-rotate-left"></i>
                 </div>
             </div>
+            <div class="live2d-select-div">
+                <select id="live2d_motion_strong_select_${expression}" title="Motion played instead when the classifier is confident">
+                </select>
+                <div id="live2d_motion_strong_replay_${expression}" class="live2d_replay_button menu_button">
+                    <i class="fa-solid fa-arrow-rotate-left"></i>
+                </div>
+            </div>
+            <div id="live2d_motion_options_${expression}">
+            </div>
+            <div class="live2d-select-div">
+                <label for="live2d_decay_select_${expression}"><small>decays to</small></label>
+                <select id="live2d_decay_select_${expression}">
+                    <option value="rest">Resting animation</option>
+                </select>
+            </div>
+            <div class="live2d-select-div" title="Mood change of the label, empty does not move the mood">
+                <label for="live2d_mood_valence_${expression}"><small>valence</small></label>
+                <input id="live2d_mood_valence_${expression}" type="number" class="text_pole" min="-1" max="1" step="0.1" value="${mood_coordinates?.['valence'] ?? ''}" />
+                <label for="live2d_mood_arousal_${expression}"><small>arousal</small></label>
+                <input id="live2d_mood_arousal_${expression}" type="number" class="text_pole" min="-1" max="1" step="0.1" value="${mood_coordinates?.['arousal'] ?? ''}" />
+            </div>
         </div>
     </div>
     `);
@@ -696,96 +1170,1143 @@ async function loadModelUi() {
             `live2d_expression_select_${expression}`,
             `live2d_motion_select_${expression}`,
             extension_settings.live2d.characterModelsSettings[character][model_path]['classify_mapping'][expression]['expression'],
-            extension_settings.live2d.characterModelsSettings[character][model_path]['classify_mapping'][expression]['motion']);
+            extension_settings.live2d.characterModelsSettings[character][model_path]['classify_mapping'][expression]['motion'],
+            model_sequences);
+
+        // Same motion list, none means no strong variant
+        $(`#live2d_motion_strong_select_${expression}`)
+            .append($(`#live2d_motion_select_${expression} option`).clone())
+            .find('option[value="none"]').text('Select strong motion');
+        $(`#live2d_motion_strong_select_${expression}`).val(extension_settings.live2d.characterModelsSettings[character][model_path]['classify_mapping'][expression]['motion_strong'] ?? 'none');
+        loadMotionOptionsUi(`live2d_motion_options_${expression}`, extension_settings.live2d.characterModelsSettings[character][model_path]['classify_mapping'][expression]['motion_options']);
+        $(`#live2d_motion_options_${expression} :input`).on('change', function () { updateExpressionMapping(expression); });
+
+        for (const next of classify_labels) {
+            if (next != expression)
+                $(`#live2d_decay_select_${expression}`).append(new Option(next, next));
+        }
+        $(`#live2d_decay_select_${expression}`).val(extension_settings.live2d.characterModelsSettings[character][model_path]['expression_decay']['steps'][expression] ?? 'rest');
+        $(`#live2d_decay_select_${expression}`).on('change', function () { updateDecayStep(expression); });
+        $(`#live2d_mood_valence_${expression}`).on('change', function () { updateMoodCoordinates(expression); });
+        $(`#live2d_mood_arousal_${expression}`).on('change', function () { updateMoodCoordinates(expression); });
 
         $(`#live2d_expression_select_${expression}`).on('change', function () { updateExpressionMapping(expression); });
         $(`#live2d_motion_select_${expression}`).on('change', function () { updateExpressionMapping(expression); });
         $(`#live2d_expression_replay_${expression}`).on('click', function () { updateExpressionMapping(expression); });
         $(`#live2d_motion_replay_${expression}`).on('click', function () { updateExpressionMapping(expression); });
+        $(`#live2d_motion_strong_select_${expression}`).on('change', function () { updateExpressionMapping(expression, true); });
+        $(`#live2d_motion_strong_replay_${expression}`).on('click', function () { updateExpressionMapping(expression, true); });
     }
 
+    // Keyword/regex trigger rules
+    model_animations = { 'expressions': model_expressions, 'motions': model_motions, 'sequences': model_sequences };
+    if (extension_settings.live2d.characterModelsSettings[character][model_path]['trigger_rules'] === undefined) {
+        extension_settings.live2d.characterModelsSettings[character][model_path]['trigger_rules'] = [];
+        saveSettingsDebounced();
+    }
+    loadTriggerRulesUi(character, model_path);
+
+    // Sequence editor
+    loadSequenceUi(character, model_path, '');
+
+    // Auto animation profile, added after the first model settings
+    if (extension_settings.live2d.characterModelsSettings[character][model_path]['auto_animation_profile'] === undefined) {
+        extension_settings.live2d.characterModelsSettings[character][model_path]['auto_animation_profile'] = structuredClone(AUTO_ANIMATION_PROFILE_DEFAULT);
+        saveSettingsDebounced();
+    }
+    loadAutoAnimationProfileUi(character, model_path);
+
     $('#live2d_model_settings').show();
 }
 
+/**
+ * Lists the animations of model_animations again in the expression and motion selects of the model settings,
+ * after a custom expression, sequence or recorded motion was saved or deleted. The rest of the panel and the model are left as they are.
+ * @param {string} character Character name.
+ * @param {string} model_path Model shown in the settings.
+ */
+function reloadAnimationSelects(character, model_path) {
+    const model_settings = extension_settings.live2d.characterModelsSettings[character][model_path];
+    const { expressions, motions, sequences } = model_animations;
+
+    const animation_selects = {
+        'animation_starter': 'live2d_starter',
+        'animation_default': 'live2d_default',
+        'animation_resting': 'live2d_resting',
+        'animation_click': 'live2d_hit_area_default',
+    };
+    for (const type in animation_selects)
+        loadAnimationUi(expressions, motions, `${animation_selects[type]}_expression_select`, `${animation_selects[type]}_motion_select`, model_settings[type]['expression'], model_settings[type]['motion'], sequences);
+
+    for (const hit_area in model_settings['hit_areas'])
+        loadAnimationUi(expressions, motions, `live2d_hit_area_expression_select_${hit_area}`, `live2d_hit_area_motion_select_${hit_area}`, model_settings['hit_areas'][hit_area]['expression'], model_settings['hit_areas'][hit_area]['motion'], sequences);
+
+    for (const label of model_settings['classify_labels']) {
+        const mapping = model_settings['classify_mapping'][label];
+        loadAnimationUi(expressions, motions, `live2d_expression_select_${label}`, `live2d_motion_select_${label}`, mapping['expression'], mapping['motion'], sequences);
+        $(`#live2d_motion_strong_select_${label}`)
+            .find('option')
+            .remove()
+            .end()
+            .append($(`#live2d_motion_select_${label} option`).clone())
+            .find('option[value="none"]').text('Select strong motion');
+        $(`#live2d_motion_strong_select_${label}`).val(mapping['motion_strong'] ?? 'none');
+    }
+
+    loadExpressionLayersUi(character, model_path, expressions);
+    loadMoodIdleGroupsUi(character, model_path, motions);
+    loadIdleSchedulerUi(character, model_path, motions);
+    loadTriggerRulesUi(character, model_path);
+    loadSequenceStepsUi();
+}
+
+/**
+ * Rewrites the animations used by the mappings of a model after one was renamed or deleted: starter, default, resting
+ * and click animations, hit areas, emotion mappings, trigger rules and sequence steps.
+ * @param {string} character Character name.
+ * @param {string} model_path Model shown in the settings.
+ * @param {string} type 'expression' or 'motion', the kind of animation renamed.
+ * @param {function(string): string} rename Takes an expression or motion value, returns its new value, 'none' to remove it.
+ * @returns {number} Number of references changed.
+ */
+function renameAnimationReferences(character, model_path, type, rename) {
+    const model_settings = extension_settings.live2d.characterModelsSettings[character][model_path];
+    let changed = 0;
+
+    // Expression mappings can be a list of layered expressions
+    const renameValue = (value) => {
+        if (type == 'motion' || !Array.isArray(value))
+            return rename(value);
+        const expressions = getExpressionList(value.map(rename));
+        return expressions.length == 0 ? 'none' : expressions.length == 1 ? expressions[0] : expressions;
+    };
+    const renameField = (mapping, field) => {
+        if (mapping?.[field] === undefined)
+            return;
+        const value = renameValue(mapping[field]);
+        if (JSON.stringify(value) != JSON.stringify(mapping[field])) {
+            mapping[field] = value;
+            changed++;
+        }
+    };
+
+    const mappings = [
+        model_settings['animation_starter'],
+        model_settings['animation_default'],
+        model_settings['animation_resting'],
+        model_settings['animation_click'],
+        ...Object.values(model_settings['hit_areas'] ?? {}),
+        ...Object.values(model_settings['classify_mapping'] ?? {}),
+        ...(model_settings['trigger_rules'] ?? []),
+    ];
+    for (const mapping of mappings) {
+        renameField(mapping, type);
+        if (type == 'motion')
+            renameField(mapping, 'motion_strong');
+    }
+
+    // Saved sequences and the one being edited
+    for (const steps of [...Object.values(model_settings['sequences'] ?? {}), sequence_steps])
+        for (const step of steps)
+            if (step['type'] == type)
+                renameField(step, 'value');
+
+    return changed;
+}
+
+function loadMoodIdleGroupsUi(character, model_path, model_motions) {
+    for (const state in MOOD_IDLE_GROUPS_DEFAULT) {
+        $(`#live2d_mood_idle_group_${state}`)
+            .find('option')
+            .remove()
+            .end()
+            .append('<option value="none">Model idle group</option>');
+        for (const group in model_motions)
+            $(`#live2d_mood_idle_group_${state}`).append(new Option(group, group));
+        $(`#live2d_mood_idle_group_${state}`).val(extension_settings.live2d.characterModelsSettings[character][model_path]['mood_idle_groups'][state] ?? 'none');
+    }
+}
+
+function loadTriggerRulesUi(character, model_path) {
+    const rules_ui = $('#live2d_trigger_rules');
+    const rules = extension_settings.live2d.characterModelsSettings[character][model_path]['trigger_rules'];
+    rules_ui.empty();
+
+    for (let index = 0; index < rules.length; index++) {
+        const scopes = TRIGGER_SCOPES.map(scope => `<option value="${scope}">${scope}</option>`).join('');
+        const modes = TRIGGER_MODES.map(mode => `<option value="${mode}">${mode}</option>`).join('');
+        rules_ui.append(`
+    <div class="live2d-parameter live2d-trigger-rule">
+        <div class="live2d-select-div">
+            <input id="live2d_trigger_pattern_${index}" type="text" class="text_pole" placeholder="Keyword or regex" />
+            <div id="live2d_trigger_delete_${index}" class="live2d_reset_button menu_button" title="Delete rule">
+                <i class="fa-solid fa-trash"></i>
+            </div>
+        </div>
+        <div class="live2d-select-div">
+            <label class="checkbox_label" for="live2d_trigger_regex_${index}">
+                <input type="checkbox" id="live2d_trigger_regex_${index}" />
+                <small>Regex</small>
+            </label>
+            <select id="live2d_trigger_scope_${index}">${scopes}</select>
+            <select id="live2d_trigger_mode_${index}">${modes}</select>
+            <input id="live2d_trigger_priority_${index}" type="number" class="text_pole" step="1" title="Priority" />
+        </div>
+        <div class="live2d-select-div">
+            <select id="live2d_trigger_expression_${index}">
+            </select>
+        </div>
+        <div class="live2d-select-div">
+            <select id="live2d_trigger_motion_${index}">
+            </select>
+        </div>
+        <div id="live2d_trigger_motion_options_${index}">
+        </div>
+    </div>
+    `);
+
+        loadAnimationUi(
+            model_animations['expressions'],
+            model_animations['motions'],
+            `live2d_trigger_expression_${index}`,
+            `live2d_trigger_motion_${index}`,
+            rules[index]['expression'],
+            rules[index]['motion'],
+            model_animations['sequences']);
+
+        loadMotionOptionsUi(`live2d_trigger_motion_options_${index}`, rules[index]['motion_options']);
+        $(`#live2d_trigger_motion_options_${index} :input`).on('change', function () { updateTriggerRule(index); });
+
+        $(`#live2d_trigger_pattern_${index}`).val(rules[index]['pattern']);
+        $(`#live2d_trigger_regex_${index}`).prop('checked', rules[index]['regex']);
+        $(`#live2d_trigger_scope_${index}`).val(rules[index]['scope']);
+        $(`#live2d_trigger_mode_${index}`).val(rules[index]['mode']);
+        $(`#live2d_trigger_priority_${index}`).val(rules[index]['priority']);
+
+        for (const field of ['pattern', 'regex', 'scope', 'mode', 'priority', 'expression', 'motion'])
+            $(`#live2d_trigger_${field}_${index}`).on('change', function () { updateTriggerRule(index); });
+        $(`#live2d_trigger_delete_${index}`).on('click', function () { deleteTriggerRule(index); });
+    }
+}
+
+async function onTriggerRuleAddClick() {
+    const character = String($('#live2d_character_select').val());
+    const model_path = String($('#live2d_model_select').val());
+
+    extension_settings.live2d.characterModelsSettings[character][model_path]['trigger_rules'].push(structuredClone(TRIGGER_RULE_DEFAULT));
+    saveSettingsDebounced();
+    loadTriggerRulesUi(character, model_path);
+}
+
+async function updateTriggerRule(index) {
+    const character = String($('#live2d_character_select').val());
+    const model_path = String($('#live2d_model_select').val());
+    const rules = extension_settings.live2d.characterModelsSettings[character][model_path]['trigger_rules'];
+
+    rules[index] = {
+        'pattern': String($(`#live2d_trigger_pattern_${index}`).val()),
+        'regex': $(`#live2d_trigger_regex_${index}`).is(':checked'),
+        'scope': String($(`#live2d_trigger_scope_${index}`).val()),
+        'priority': Number($(`#live2d_trigger_priority_${index}`).val()),
+        'mode': String($(`#live2d_trigger_mode_${index}`).val()),
+        'expression': String($(`#live2d_trigger_expression_${index}`).val()),
+        'motion': String($(`#live2d_trigger_motion_${index}`).val()),
+        'motion_options': getMotionOptionsValue(`live2d_trigger_motion_options_${index}`),
+    };
+    saveSettingsDebounced();
+
+    console.debug(DEBUG_PREFIX, 'Updated trigger rule', index, rules[index]);
+}
+
+async function deleteTriggerRule(index) {
+    const character = String($('#live2d_character_select').val());
+    const model_path = String($('#live2d_model_select').val());
+
+    extension_settings.live2d.characterModelsSettings[character][model_path]['trigger_rules'].splice(index, 1);
+    saveSettingsDebounced();
+    loadTriggerRulesUi(character, model_path);
+}
+
 
 async function updateHitAreaMapping(hitArea) {
     const character = String($('#live2d_character_select').val());
     const model = String($('#live2d_model_select').val());
-    const model_expression = $(`#live2d_hit_area_expression_select_${hitArea}`).val();
+    const model_expression = getExpressionSelectValue(`live2d_hit_area_expression_select_${hitArea}`);
     const model_motion = $(`#live2d_hit_area_motion_select_${hitArea}`).val();
     const message = $(`#live2d_hit_area_message_${hitArea}`).val();
 
-    extension_settings.live2d.characterModelsSettings[character][model]['hit_areas'][hitArea] = { 'expression': model_expression, 'motion': model_motion, 'message': message };
+    const motion_options = getMotionOptionsValue(`live2d_hit_area_motion_options_${hitArea}`);
+
+    extension_settings.live2d.characterModelsSettings[character][model]['hit_areas'][hitArea] = { 'expression': model_expression, 'motion': model_motion, 'message': message, 'motion_options': motion_options };
     saveSettingsDebounced();
 
     console.debug(DEBUG_PREFIX, 'Updated hit area mapping:', hitArea, extension_settings.live2d.characterModelsSettings[character][model]['hit_areas'][hitArea]);
 
     // Play new setting
-    if (model_motion != 'none')
-        await playMotion(character, model_motion, true);
-    if (model_expression != 'none')
-        await playExpression(character, model_expression);
+    await playAnimation(character, model_expression, model_motion, ANIMATION_PRIORITY.script, true, getPreviewMotionOptions(motion_options));
+}
+
+async function updateVisemeMapping(viseme) {
+    const character = String($('#live2d_character_select').val());
+    const model = String($('#live2d_model_select').val());
+    const open = Number($(`#live2d_viseme_open_${viseme}`).val());
+    const form = Number($(`#live2d_viseme_form_${viseme}`).val());
+
+    extension_settings.live2d.characterModelsSettings[character][model]['viseme_mapping'][viseme] = { 'open': open, 'form': form };
+    saveSettingsDebounced();
+
+    console.debug(DEBUG_PREFIX, 'Updated viseme mapping:', viseme, extension_settings.live2d.characterModelsSettings[character][model]['viseme_mapping'][viseme]);
 }
 
-async function updateExpressionMapping(expression) {
+async function updateExpressionMapping(expression, strong = false) {
     const character = String($('#live2d_character_select').val());
     const model = String($('#live2d_model_select').val());
-    const model_expression = $(`#live2d_expression_select_${expression}`).val();
+    const model_expression = getExpressionSelectValue(`live2d_expression_select_${expression}`);
     const model_motion = $(`#live2d_motion_select_${expression}`).val();
+    const model_motion_strong = $(`#live2d_motion_strong_select_${expression}`).val();
+    const motion_options = getMotionOptionsValue(`live2d_motion_options_${expression}`);
 
-    extension_settings.live2d.characterModelsSettings[character][model]['classify_mapping'][expression] = { 'expression': model_expression, 'motion': model_motion };
+    extension_settings.live2d.characterModelsSettings[character][model]['classify_mapping'][expression] = { 'expression': model_expression, 'motion': model_motion, 'motion_strong': model_motion_strong, 'motion_options': motion_options };
     saveSettingsDebounced();
 
-    // Play new setting
-    if (model_motion != 'none')
-        await playMotion(character, model_motion, true);
-    if (model_expression != 'none')
-        await playExpression(character, model_expression);
+    // Play new setting, the strong motion when it was changed
+    await playAnimation(character, model_expression, strong ? model_motion_strong : model_motion, ANIMATION_PRIORITY.script, true, getPreviewMotionOptions(motion_options));
 
     console.debug(DEBUG_PREFIX, 'Updated expression mapping:', expression, extension_settings.live2d.characterModelsSettings[character][model]['classify_mapping'][expression]);
 }
 
-function updateCharactersList() {
-    let current_characters = new Set();
-    const context = getContext();
-    for (const i of context.characters) {
-        current_characters.add(i.name);
-    }
+// Custom expression editor: a slider for each model parameter, ids use the parameter index
+function loadCustomExpressionUi(character, model_path, selected) {
+    const custom_expressions = extension_settings.live2d.characterModelsSettings[character][model_path]['custom_expressions'];
+    const values = custom_expressions[selected] ?? {};
+    const parameters_ui = $('#live2d_custom_expression_parameters');
 
-    current_characters = Array.from(current_characters);
+    $('#live2d_custom_expression_select')
+        .find('option')
+        .remove()
+        .end()
+        .append('<option value="">New expression</option>');
+    for (const name of Object.keys(custom_expressions))
+        $('#live2d_custom_expression_select').append(new Option(name, name));
+    $('#live2d_custom_expression_select').val(selected);
+    $('#live2d_custom_expression_name').val(selected);
 
-    if (current_characters.length == 0)
+    setPreviewParameters(character, undefined);
+    parameters_ui.empty();
+
+    if (model_parameters.length == 0) {
+        parameters_ui.append('<small>No parameter ids found in this model.</small>');
         return;
+    }
 
-    if (!extension_settings.live2d.showAllCharacters) {
-        let chat_members = currentChatMembers();
-        console.debug(DEBUG_PREFIX, 'Chat members', chat_members);
+    model_parameters.forEach((parameter, index) => {
+        const value = values[parameter.id] ?? parameter.default;
+        parameters_ui.append(`
+        <div class="live2d-viseme-div live2d-custom-parameter-div">
+            <span id="live2d_custom_parameter_name_${index}"></span>
+            <input id="live2d_custom_parameter_${index}" type="range" min="${parameter.min}" max="${parameter.max}" step="${(parameter.max - parameter.min) / 100}" value="${value}" />
+            <span id="live2d_custom_parameter_value_${index}">${Number(value).toFixed(2)}</span>
+        </div>
+        `);
+        $(`#live2d_custom_parameter_name_${index}`).text(parameter.id).attr('title', parameter.id);
+        $(`#live2d_custom_parameter_${index}`).on('input', function () { onCustomParameterInput(index); });
+    });
+}
 
-        // Sort group character on top
-        for (const i of chat_members) {
-            let index = current_characters.indexOf(i);
-            if (index != -1) {
-                console.debug(DEBUG_PREFIX, 'Moving to top', i);
-                current_characters.splice(index, 1);
-            }
-        }
+// Parameters of the editor changed from their default
+function getCustomExpressionValues() {
+    const values = {};
+    model_parameters.forEach((parameter, index) => {
+        const value = Number($(`#live2d_custom_parameter_${index}`).val());
+        if (Math.abs(value - parameter.default) > 1e-3)
+            values[parameter.id] = value;
+    });
+    return values;
+}
 
-        current_characters = chat_members;
-    }
+// Preview only on the loaded model of the edited character and model
+function previewCustomExpression() {
+    const character = String($('#live2d_character_select').val());
+    const model_path = String($('#live2d_model_select').val());
 
-    if (JSON.stringify(characters_list) !== JSON.stringify(current_characters)) {
-        characters_list = current_characters;
+    if (extension_settings.live2d.characterModelMapping[character] != model_path)
+        return;
 
-        $('#live2d_character_select')
-            .find('option')
-            .remove()
-            .end()
-            .append('<option value="none">Select Character</option>')
-            .val('none');
+    setPreviewParameters(character, getCustomExpressionValues());
+}
 
-        for (const charName of characters_list) {
-            $('#live2d_character_select').append(new Option(charName, charName));
-        }
+function onCustomParameterInput(index) {
+    $(`#live2d_custom_parameter_value_${index}`).text(Number($(`#live2d_custom_parameter_${index}`).val()).toFixed(2));
+    previewCustomExpression();
+}
+
+async function onCustomExpressionSelectChange() {
+    const character = String($('#live2d_character_select').val());
+    const model_path = String($('#live2d_model_select').val());
+
+    loadCustomExpressionUi(character, model_path, String($('#live2d_custom_expression_select').val()));
+    previewCustomExpression();
+}
+
+async function onCustomExpressionSaveClick() {
+    const character = String($('#live2d_character_select').val());
+    const model_path = String($('#live2d_model_select').val());
+    const name = String($('#live2d_custom_expression_name').val()).trim();
+    const previous = String($('#live2d_custom_expression_select').val());
+
+    if (name == '' || name == 'none') {
+        console.debug(DEBUG_PREFIX,'Custom expression needs a name');
+        return;
+    }
+
+    if (model_animations['expressions'].some(expression => expression['File'] != 'custom' && Object.values(expression).includes(name))) {
+        console.debug(DEBUG_PREFIX,'Custom expression',name,'has the name of an expression of the model, not saved');
+        return;
+    }
+
+    const custom_expressions = extension_settings.live2d.characterModelsSettings[character][model_path]['custom_expressions'];
+    // Saving under a new name renames the expression, the mappings follow it
+    if (previous != '' && previous != name) {
+        delete custom_expressions[previous];
+        renameCustomExpressionReferences(character, model_path, previous, name);
+    }
+    custom_expressions[name] = getCustomExpressionValues();
+    saveSettingsDebounced();
+
+    console.debug(DEBUG_PREFIX,'Saved custom expression',name,'of',character,':',custom_expressions[name]);
+
+    reloadCustomExpressions(character, model_path);
+    loadCustomExpressionUi(character, model_path, name);
+}
+
+async function onCustomExpressionDeleteClick() {
+    const character = String($('#live2d_character_select').val());
+    const model_path = String($('#live2d_model_select').val());
+    const name = String($('#live2d_custom_expression_select').val());
+
+    if (name == '')
+        return;
+
+    delete extension_settings.live2d.characterModelsSettings[character][model_path]['custom_expressions'][name];
+    renameCustomExpressionReferences(character, model_path, name, 'none');
+    saveSettingsDebounced();
+
+    console.debug(DEBUG_PREFIX,'Deleted custom expression',name,'of',character);
+    reloadCustomExpressions(character, model_path);
+    loadCustomExpressionUi(character, model_path, '');
+}
+
+// Mappings using a renamed custom expression use its new name, 'none' for a deleted one
+function renameCustomExpressionReferences(character, model_path, previous, name) {
+    const changed = renameAnimationReferences(character, model_path, 'expression', value => value == previous ? name : value);
+
+    const layers = extension_settings.live2d.characterModelsSettings[character][model_path]['expression_layers'];
+    if (layers?.[previous] !== undefined) {
+        if (name != 'none')
+            layers[name] = layers[previous];
+        delete layers[previous];
+    }
+
+    console.debug(DEBUG_PREFIX,'Custom expression',previous,'is now',name,'in',changed,'mappings of',character);
+}
+
+// Lists all expression selects again with the saved custom expressions
+function reloadCustomExpressions(character, model_path) {
+    const custom_expressions = Object.keys(extension_settings.live2d.characterModelsSettings[character][model_path]['custom_expressions']);
+    model_animations['expressions'] = [
+        ...model_animations['expressions'].filter(expression => expression['File'] != 'custom'),
+        ...custom_expressions.map(name => ({ 'Name': name, 'File': 'custom' })),
+    ];
+    reloadAnimationSelects(character, model_path);
+}
+
+// Sets the sliders to the current pose of the model, for example in the middle of a motion
+async function onCustomExpressionCaptureClick() {
+    const character = String($('#live2d_character_select').val());
+    const model_path = String($('#live2d_model_select').val());
+
+    if (extension_settings.live2d.characterModelMapping[character] != model_path) {
+        console.debug(DEBUG_PREFIX,'Model',model_path,'is not the loaded model of',character,', nothing to capture');
+        return;
+    }
+
+    // The preview would be captured instead of the model pose
+    setPreviewParameters(character, undefined);
+    const values = readModelParameters(character, model_parameters.map(parameter => parameter.id));
+    if (values === undefined) {
+        console.debug(DEBUG_PREFIX,'No model loaded for',character,', nothing to capture');
+        return;
+    }
+
+    model_parameters.forEach((parameter, index) => {
+        $(`#live2d_custom_parameter_${index}`).val(values[parameter.id]);
+        $(`#live2d_custom_parameter_value_${index}`).text(Number(values[parameter.id]).toFixed(2));
+    });
+    previewCustomExpression();
+}
+
+async function onCustomExpressionResetClick() {
+    const character = String($('#live2d_character_select').val());
+
+    model_parameters.forEach((parameter, index) => {
+        $(`#live2d_custom_parameter_${index}`).val(parameter.default);
+        $(`#live2d_custom_parameter_value_${index}`).text(Number(parameter.default).toFixed(2));
+    });
+    setPreviewParameters(character, undefined);
+}
+
+// Sequence editor: one row per step, the row shows the expression, motion or duration field of its type
+function loadSequenceUi(character, model_path, selected) {
+    const sequences = extension_settings.live2d.characterModelsSettings[character][model_path]['sequences'];
+
+    $('#live2d_sequence_select')
+        .find('option')
+        .remove()
+        .end()
+        .append('<option value="">New sequence</option>');
+    for (const name of Object.keys(sequences))
+        $('#live2d_sequence_select').append(new Option(name, name));
+    $('#live2d_sequence_select').val(selected);
+    $('#live2d_sequence_name').val(selected);
+
+    sequence_steps = structuredClone(sequences[selected] ?? []);
+    loadSequenceStepsUi();
+}
+
+function loadSequenceStepsUi() {
+    const steps_ui = $('#live2d_sequence_steps');
+    const types = SEQUENCE_STEP_TYPES.map(type => `<option value="${type}">${type}</option>`).join('');
+
+    steps_ui.empty();
+
+    if (sequence_steps.length == 0) {
+        steps_ui.append('<small>No step yet.</small>');
+        return;
+    }
+
+    sequence_steps.forEach((step, index) => {
+        steps_ui.append(`
+        <div class="live2d-select-div live2d-sequence-step-div">
+            <select id="live2d_sequence_step_type_${index}">${types}</select>
+            <select id="live2d_sequence_step_expression_${index}"></select>
+            <select id="live2d_sequence_step_motion_${index}"></select>
+            <input id="live2d_sequence_step_wait_${index}" type="number" class="text_pole" min="0" step="100" title="Duration in ms" />
+            <div id="live2d_sequence_step_up_${index}" class="menu_button" title="Move step up">
+                <i class="fa-solid fa-arrow-up"></i>
+            </div>
+            <div id="live2d_sequence_step_down_${index}" class="menu_button" title="Move step down">
+                <i class="fa-solid fa-arrow-down"></i>
+            </div>
+            <div id="live2d_sequence_step_delete_${index}" class="live2d_delete_button menu_button" title="Delete step">
+                <i class="fa-solid fa-trash"></i>
+            </div>
+        </div>
+        `);
+
+        // No sequence inside a sequence
+        loadAnimationUi(
+            model_animations['expressions'],
+            model_animations['motions'],
+            `live2d_sequence_step_expression_${index}`,
+            `live2d_sequence_step_motion_${index}`,
+            step['type'] == 'expression' ? step['value'] : 'none',
+            step['type'] == 'motion' ? step['value'] : 'none');
+
+        $(`#live2d_sequence_step_type_${index}`).val(step['type']);
+        $(`#live2d_sequence_step_wait_${index}`).val(step['type'] == 'wait' ? step['value'] : SEQUENCE_STEP_DEFAULT['value']);
+        for (const type of SEQUENCE_STEP_TYPES)
+            $(`#live2d_sequence_step_${type}_${index}`).toggle(type == step['type']);
+
+        $(`#live2d_sequence_step_type_${index}`).on('change', function () { onSequenceStepTypeChange(index); });
+        for (const type of SEQUENCE_STEP_TYPES)
+            $(`#live2d_sequence_step_${type}_${index}`).on('change', function () { updateSequenceStep(index); });
+        $(`#live2d_sequence_step_up_${index}`).on('click', function () { moveSequenceStep(index, -1); });
+        $(`#live2d_sequence_step_down_${index}`).on('click', function () { moveSequenceStep(index, 1); });
+        $(`#live2d_sequence_step_delete_${index}`).on('click', function () { deleteSequenceStep(index); });
+    });
+}
+
+function onSequenceStepTypeChange(index) {
+    const type = String($(`#live2d_sequence_step_type_${index}`).val());
+    for (const field of SEQUENCE_STEP_TYPES)
+        $(`#live2d_sequence_step_${field}_${index}`).toggle(field == type);
+    updateSequenceStep(index);
+}
+
+function updateSequenceStep(index) {
+    const type = String($(`#live2d_sequence_step_type_${index}`).val());
+    const value = $(`#live2d_sequence_step_${type}_${index}`).val();
+
+    sequence_steps[index] = { 'type': type, 'value': type == 'wait' ? Math.max(0, Number(value)) : String(value) };
+    console.debug(DEBUG_PREFIX,'Updated sequence step',index,sequence_steps[index]);
+}
+
+function moveSequenceStep(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= sequence_steps.length)
+        return;
+
+    [sequence_steps[index], sequence_steps[target]] = [sequence_steps[target], sequence_steps[index]];
+    loadSequenceStepsUi();
+}
+
+function deleteSequenceStep(index) {
+    sequence_steps.splice(index, 1);
+    loadSequenceStepsUi();
+}
+
+async function onSequenceAddStepClick() {
+    sequence_steps.push(structuredClone(SEQUENCE_STEP_DEFAULT));
+    loadSequenceStepsUi();
+}
+
+async function onSequenceSelectChange() {
+    const character = String($('#live2d_character_select').val());
+    const model_path = String($('#live2d_model_select').val());
+
+    loadSequenceUi(character, model_path, String($('#live2d_sequence_select').val()));
+}
+
+async function onSequenceSaveClick() {
+    const character = String($('#live2d_character_select').val());
+    const model_path = String($('#live2d_model_select').val());
+    const name = String($('#live2d_sequence_name').val()).trim();
+    const previous = String($('#live2d_sequence_select').val());
+
+    if (name == '' || name == 'none') {
+        console.debug(DEBUG_PREFIX,'Sequence needs a name');
+        return;
+    }
+
+    const sequences = extension_settings.live2d.characterModelsSettings[character][model_path]['sequences'];
+    // Saving under a new name renames the sequence, the mappings follow it
+    if (previous != '' && previous != name) {
+        delete sequences[previous];
+        renameSequenceReferences(character, model_path, previous, name);
+    }
+    sequences[name] = structuredClone(sequence_steps);
+    saveSettingsDebounced();
+
+    console.debug(DEBUG_PREFIX,'Saved sequence',name,'of',character,':',sequences[name]);
+
+    reloadSequences(character, model_path);
+    loadSequenceUi(character, model_path, name);
+}
+
+async function onSequenceDeleteClick() {
+    const character = String($('#live2d_character_select').val());
+    const model_path = String($('#live2d_model_select').val());
+    const name = String($('#live2d_sequence_select').val());
+
+    if (name == '')
+        return;
+
+    delete extension_settings.live2d.characterModelsSettings[character][model_path]['sequences'][name];
+    renameSequenceReferences(character, model_path, name, '');
+    saveSettingsDebounced();
+
+    console.debug(DEBUG_PREFIX,'Deleted sequence',name,'of',character);
+    reloadSequences(character, model_path);
+    loadSequenceUi(character, model_path, '');
+}
+
+// Mappings playing a renamed sequence play it under its new name, none for a deleted one ('' name)
+function renameSequenceReferences(character, model_path, previous, name) {
+    const motion = SEQUENCE_PREFIX + previous;
+    const changed = renameAnimationReferences(character, model_path, 'motion', value => value == motion ? (name == '' ? 'none' : SEQUENCE_PREFIX + name) : value);
+    console.debug(DEBUG_PREFIX,'Sequence',previous,'is now',name || 'none','in',changed,'mappings of',character);
+}
+
+// Lists all motion selects again with the saved sequences
+function reloadSequences(character, model_path) {
+    model_animations['sequences'] = Object.keys(extension_settings.live2d.characterModelsSettings[character][model_path]['sequences']);
+    reloadAnimationSelects(character, model_path);
+}
+
+// Plays the edited steps, saved or not, on the loaded model
+async function onSequencePreviewClick() {
+    const character = String($('#live2d_character_select').val());
+    const model_path = String($('#live2d_model_select').val());
+
+    if (extension_settings.live2d.characterModelMapping[character] != model_path) {
+        console.debug(DEBUG_PREFIX,'Model',model_path,'is not the loaded model of',character,', nothing to preview');
+        return;
+    }
+
+    await playSequence(character, structuredClone(sequence_steps), ANIMATION_PRIORITY.script);
+}
+
+// Motion recorder: sliders of the chosen parameters, their changes are recorded into a motion
+function loadMotionRecorderUi(character, model_path, selected, recordable = true) {
+    const recorded_motions = extension_settings.live2d.characterModelsSettings[character][model_path]['recorded_motions'];
+
+    $('#live2d_recorder_parameter_select')
+        .find('option')
+        .remove();
+    for (const parameter of model_parameters)
+        $('#live2d_recorder_parameter_select').append(new Option(parameter.id, parameter.id));
+
+    $('#live2d_recorded_motion_select')
+        .find('option')
+        .remove()
+        .end()
+        .append('<option value="">New motion</option>');
+    for (const name of Object.keys(recorded_motions))
+        $('#live2d_recorded_motion_select').append(new Option(name, name));
+    $('#live2d_recorded_motion_select').val(selected);
+    $('#live2d_recorded_motion_name').val(selected);
+
+    // Sliders stay when the settings are reloaded, for parameters the model still has
+    for (const id of Object.keys(recorder_tracks)) {
+        if (!model_parameters.some(parameter => parameter.id == id))
+            delete recorder_tracks[id];
+    }
+
+    if (recording === undefined)
+        recorded_motion = selected != '' ? structuredClone(recorded_motions[selected]) : recorded_motion;
+
+    loadRecorderTracksUi();
+    updateRecorderStatus(recordable ? undefined : 'Cubism 2 models cannot play recorded motions');
+}
+
+function loadRecorderTracksUi() {
+    const tracks_ui = $('#live2d_recorder_tracks');
+    tracks_ui.empty();
+
+    for (const id of Object.keys(recorder_tracks)) {
+        const index = model_parameters.findIndex(parameter => parameter.id == id);
+        const parameter = model_parameters[index];
+        tracks_ui.append(`
+        <div class="live2d-viseme-div live2d-custom-parameter-div">
+            <span id="live2d_recorder_track_name_${index}"></span>
+            <input id="live2d_recorder_track_${index}" type="range" min="${parameter.min}" max="${parameter.max}" step="${(parameter.max - parameter.min) / 100}" value="${recorder_tracks[id]}" />
+            <span id="live2d_recorder_track_value_${index}">${Number(recorder_tracks[id]).toFixed(2)}</span>
+            <div id="live2d_recorder_track_delete_${index}" class="live2d_delete_button menu_button" title="Remove parameter">
+                <i class="fa-solid fa-trash"></i>
+            </div>
+        </div>
+        `);
+        $(`#live2d_recorder_track_name_${index}`).text(id).attr('title', id);
+        $(`#live2d_recorder_track_${index}`).on('input', function () { onRecorderTrackInput(id, index); });
+        $(`#live2d_recorder_track_delete_${index}`).on('click', function () { deleteRecorderTrack(id); });
+    }
+}
+
+function updateRecorderStatus(message = undefined) {
+    if (message === undefined)
+        message = recording !== undefined ? 'Recording...' : recorded_motion !== undefined ? getMotionSummary(recorded_motion) : 'Nothing recorded';
+    $('#live2d_recorder_status').text(message);
+    $('#live2d_recorder_record_button i').toggleClass('fa-circle', recording === undefined).toggleClass('fa-stop', recording !== undefined);
+}
+
+// Character whose loaded model is the one shown in the settings, undefined otherwise
+function getRecorderCharacter() {
+    const character = String($('#live2d_character_select').val());
+    const model_path = String($('#live2d_model_select').val());
+
+    if (extension_settings.live2d.characterModelMapping[character] != model_path) {
+        console.debug(DEBUG_PREFIX,'Model',model_path,'is not the loaded model of',character);
+        return undefined;
+    }
+    return character;
+}
+
+async function onRecorderAddClick() {
+    const id = String($('#live2d_recorder_parameter_select').val());
+    const parameter = model_parameters.find(parameter => parameter.id == id);
+
+    if (parameter === undefined || recorder_tracks[id] !== undefined)
+        return;
+
+    // Starts from the current pose of the model when it is loaded
+    const character = getRecorderCharacter();
+    const current = character !== undefined ? readModelParameters(character, [id])?.[id] : undefined;
+    recorder_tracks[id] = current ?? parameter.default;
+
+    if (recording !== undefined)
+        recordParameter(recording, id, recorder_tracks[id]);
+
+    loadRecorderTracksUi();
+}
+
+function deleteRecorderTrack(id) {
+    delete recorder_tracks[id];
+    loadRecorderTracksUi();
+
+    const character = getRecorderCharacter();
+    if (character !== undefined)
+        setPreviewParameters(character, Object.keys(recorder_tracks).length > 0 ? { ...recorder_tracks } : undefined);
+}
+
+function onRecorderTrackInput(id, index) {
+    const value = Number($(`#live2d_recorder_track_${index}`).val());
+    recorder_tracks[id] = value;
+    $(`#live2d_recorder_track_value_${index}`).text(value.toFixed(2));
+
+    if (recording !== undefined)
+        recordParameter(recording, id, value);
+
+    const character = getRecorderCharacter();
+    if (character !== undefined)
+        setPreviewParameters(character, { ...recorder_tracks });
+}
+
+async function onRecorderRecordClick() {
+    if (recording === undefined) {
+        if (Object.keys(recorder_tracks).length == 0) {
+            updateRecorderStatus('Add a parameter to record first');
+            return;
+        }
+        recording = startRecording({ ...recorder_tracks });
+        console.debug(DEBUG_PREFIX,'Started motion recording of',Object.keys(recorder_tracks));
+        updateRecorderStatus();
+        return;
+    }
+
+    recorded_motion = stopRecording(recording);
+    recording = undefined;
+    console.debug(DEBUG_PREFIX,'Recorded motion',recorded_motion);
+    updateRecorderStatus();
+
+    // The sliders hold the model until the motion is played
+    const character = getRecorderCharacter();
+    if (character !== undefined)
+        setPreviewParameters(character, undefined);
+}
+
+async function onRecorderPlayClick() {
+    const character = getRecorderCharacter();
+    if (character === undefined || recorded_motion === undefined || recording !== undefined)
+        return;
+
+    setPreviewParameters(character, undefined);
+    await playRecordedMotion(character, recorded_motion, ANIMATION_PRIORITY.script);
+}
+
+async function onRecorderDownloadClick() {
+    if (recorded_motion === undefined)
+        return;
+
+    const name = String($('#live2d_recorded_motion_name').val()).trim() || 'recorded';
+    download(JSON.stringify(recorded_motion, null, 4), `${name}.motion3.json`, 'application/json');
+}
+
+async function onRecordedMotionSelectChange() {
+    const character = String($('#live2d_character_select').val());
+    const model_path = String($('#live2d_model_select').val());
+
+    loadMotionRecorderUi(character, model_path, String($('#live2d_recorded_motion_select').val()));
+}
+
+async function onRecordedMotionSaveClick() {
+    const character = String($('#live2d_character_select').val());
+    const model_path = String($('#live2d_model_select').val());
+    const name = String($('#live2d_recorded_motion_name').val()).trim();
+    const previous = String($('#live2d_recorded_motion_select').val());
+
+    if (recorded_motion === undefined || recording !== undefined) {
+        console.debug(DEBUG_PREFIX,'No finished recording to save');
+        return;
+    }
+
+    // The name becomes a motion group, _id= separates the group from the motion index
+    if (name == '' || name.includes('_id=')) {
+        console.debug(DEBUG_PREFIX,'Invalid recorded motion name',name);
+        return;
+    }
+
+    const recorded_motions = extension_settings.live2d.characterModelsSettings[character][model_path]['recorded_motions'];
+    // Saving under a new name renames the motion, the mappings follow it
+    if (previous != '' && previous != name) {
+        delete recorded_motions[previous];
+        renameRecordedMotionReferences(character, model_path, previous, name);
+    }
+    recorded_motions[name] = structuredClone(recorded_motion);
+    saveSettingsDebounced();
+
+    console.debug(DEBUG_PREFIX,'Saved recorded motion',name,'of',character);
+
+    loadRecordedMotions(character);
+    reloadRecordedMotions(character, model_path);
+    loadMotionRecorderUi(character, model_path, name);
+}
+
+async function onRecordedMotionDeleteClick() {
+    const character = String($('#live2d_character_select').val());
+    const model_path = String($('#live2d_model_select').val());
+    const name = String($('#live2d_recorded_motion_select').val());
+
+    if (name == '')
+        return;
+
+    delete extension_settings.live2d.characterModelsSettings[character][model_path]['recorded_motions'][name];
+    renameRecordedMotionReferences(character, model_path, name, '');
+    saveSettingsDebounced();
+
+    console.debug(DEBUG_PREFIX,'Deleted recorded motion',name,'of',character);
+
+    loadRecordedMotions(character);
+    reloadRecordedMotions(character, model_path);
+    loadMotionRecorderUi(character, model_path, '');
+}
+
+// Mappings, mood idle groups and idle weights using a renamed recorded motion follow its new group, none for a deleted one ('' name)
+function renameRecordedMotionReferences(character, model_path, previous, name) {
+    const model_settings = extension_settings.live2d.characterModelsSettings[character][model_path];
+    const group = RECORDED_MOTION_PREFIX + previous;
+    const new_group = RECORDED_MOTION_PREFIX + name;
+
+    const changed = renameAnimationReferences(character, model_path, 'motion', value => {
+        const [motion_group, motion_id] = String(value).split('_id=');
+        if (motion_group != group)
+            return value;
+        return name == '' ? 'none' : `${new_group}_id=${motion_id ?? 'random'}`;
+    });
+
+    for (const state in model_settings['mood_idle_groups'] ?? {})
+        if (model_settings['mood_idle_groups'][state] == group)
+            model_settings['mood_idle_groups'][state] = name == '' ? 'none' : new_group;
+
+    const weights = model_settings['idle_scheduler']?.['group_weights'] ?? {};
+    if (weights[group] !== undefined) {
+        if (name != '')
+            weights[new_group] = weights[group];
+        delete weights[group];
+    }
+
+    console.debug(DEBUG_PREFIX,'Recorded motion',previous,'is now',name || 'none','in',changed,'mappings of',character);
+}
+
+// Lists all motion selects again with the saved recorded motions
+function reloadRecordedMotions(character, model_path) {
+    const motions = Object.fromEntries(Object.entries(model_animations['motions']).filter(([group]) => !group.startsWith(RECORDED_MOTION_PREFIX)));
+    for (const name of Object.keys(extension_settings.live2d.characterModelsSettings[character][model_path]['recorded_motions']))
+        motions[RECORDED_MOTION_PREFIX + name] = [{ 'File': `${name}.motion3.json` }];
+
+    model_animations['motions'] = motions;
+    reloadAnimationSelects(character, model_path);
+}
+
+// Blend and fade times of each model expression, ids use the expression index as names can contain any symbol
+function loadExpressionLayersUi(character, model_path, model_expressions) {
+    const layers_ui = $('#live2d_expression_layers');
+    const layers = extension_settings.live2d.characterModelsSettings[character][model_path]['expression_layers'];
+    const blends = EXPRESSION_LAYER_BLENDS.map(blend => `<option value="${blend}">${blend}</option>`).join('');
+    layers_ui.empty();
+
+    model_expressions.forEach((model_expression, index) => {
+        const name = model_expression[Object.keys(model_expression).find(key => key.toLowerCase() === 'name')];
+        const layer = { ...EXPRESSION_LAYER_DEFAULT, ...layers[name] };
+
+        layers_ui.append(`
+        <div class="live2d-viseme-div live2d-layer-div">
+            <span id="live2d_layer_name_${index}"></span>
+            <select id="live2d_layer_blend_${index}" title="Blend of the expression parameters">${blends}</select>
+            <label for="live2d_layer_fade_in_${index}"><small>in</small></label>
+            <input id="live2d_layer_fade_in_${index}" type="number" class="text_pole" min="0" max="10000" step="100" title="Fade-in (ms)" />
+            <label for="live2d_layer_fade_out_${index}"><small>out</small></label>
+            <input id="live2d_layer_fade_out_${index}" type="number" class="text_pole" min="0" max="10000" step="100" title="Fade-out (ms)" />
+        </div>
+        `);
+
+        $(`#live2d_layer_name_${index}`).text(name);
+        $(`#live2d_layer_blend_${index}`).val(layer['blend']);
+        $(`#live2d_layer_fade_in_${index}`).val(layer['fade_in']);
+        $(`#live2d_layer_fade_out_${index}`).val(layer['fade_out']);
+
+        for (const field of ['blend', 'fade_in', 'fade_out'])
+            $(`#live2d_layer_${field}_${index}`).on('change', function () { updateExpressionLayer(name, index); });
+    });
+}
+
+async function updateExpressionLayer(name, index) {
+    const character = String($('#live2d_character_select').val());
+    const model_path = String($('#live2d_model_select').val());
+
+    extension_settings.live2d.characterModelsSettings[character][model_path]['expression_layers'][name] = {
+        'blend': String($(`#live2d_layer_blend_${index}`).val()),
+        'fade_in': Math.max(0, Number($(`#live2d_layer_fade_in_${index}`).val())),
+        'fade_out': Math.max(0, Number($(`#live2d_layer_fade_out_${index}`).val())),
+    };
+    saveSettingsDebounced();
+
+    console.debug(DEBUG_PREFIX, 'Updated expression layer:', name, extension_settings.live2d.characterModelsSettings[character][model_path]['expression_layers'][name]);
+}
+
+// Adds empty mappings for new labels, mappings of removed labels are kept in case they come back
+function addClassifyMappings(character, model_path, labels) {
+    if (extension_settings.live2d.characterModelsSettings[character][model_path]['classify_mapping'] === undefined)
+        extension_settings.live2d.characterModelsSettings[character][model_path]['classify_mapping'] = {};
+
+    const mapping = extension_settings.live2d.characterModelsSettings[character][model_path]['classify_mapping'];
+    for (const label of labels) {
+        if (mapping[label] === undefined) {
+            mapping[label] = { 'expression': 'none', 'motion': 'none', 'motion_strong': 'none' };
+            saveSettingsDebounced();
+        }
+    }
+}
+
+// Weight inputs ids use the group index as group names can contain any symbol
+function loadIdleSchedulerUi(character, model_path, model_motions) {
+    const idle_scheduler = extension_settings.live2d.characterModelsSettings[character][model_path]['idle_scheduler'];
+    const groups_ui = $('#live2d_idle_scheduler_groups');
+
+    $('#live2d_idle_scheduler_enabled').prop('checked', idle_scheduler['enabled']);
+    $('#live2d_idle_scheduler_skip_talking').prop('checked', idle_scheduler['skip_talking']);
+    for (const field of ['min_interval', 'max_interval', 'quiet_time']) {
+        $(`#live2d_idle_scheduler_${field}`).val(idle_scheduler[field]);
+        $(`#live2d_idle_scheduler_${field}_value`).text(idle_scheduler[field]);
+    }
+
+    groups_ui.empty();
+    if (Object.keys(model_motions).length == 0)
+        groups_ui.append('<small>No motion group found in this model.</small>');
+
+    Object.keys(model_motions).forEach((group, index) => {
+        groups_ui.append(`
+        <div class="live2d-viseme-div live2d-layer-div">
+            <span id="live2d_idle_scheduler_group_name_${index}"></span>
+            <input id="live2d_idle_scheduler_weight_${index}" type="number" class="text_pole" min="0" step="1" title="Weight" />
+        </div>
+        `);
+        $(`#live2d_idle_scheduler_group_name_${index}`).text(group).attr('title', group);
+        $(`#live2d_idle_scheduler_weight_${index}`).val(idle_scheduler['group_weights'][group] ?? 0);
+        $(`#live2d_idle_scheduler_weight_${index}`).on('change', function () { updateIdleWeight(group, index); });
+    });
+}
+
+async function onIdleSchedulerChange() {
+    const character = String($('#live2d_character_select').val());
+    const model_path = String($('#live2d_model_select').val());
+    const idle_scheduler = extension_settings.live2d.characterModelsSettings[character][model_path]['idle_scheduler'];
+
+    idle_scheduler['enabled'] = $('#live2d_idle_scheduler_enabled').is(':checked');
+    idle_scheduler['skip_talking'] = $('#live2d_idle_scheduler_skip_talking').is(':checked');
+    for (const field of ['min_interval', 'max_interval', 'quiet_time']) {
+        idle_scheduler[field] = Number($(`#live2d_idle_scheduler_${field}`).val());
+        $(`#live2d_idle_scheduler_${field}_value`).text(idle_scheduler[field]);
+    }
+
+    saveSettingsDebounced();
+    console.debug(DEBUG_PREFIX,'Updated idle scheduler of',character,':',idle_scheduler);
+}
+
+async function updateIdleWeight(group, index) {
+    const character = String($('#live2d_character_select').val());
+    const model_path = String($('#live2d_model_select').val());
+    const weights = extension_settings.live2d.characterModelsSettings[character][model_path]['idle_scheduler']['group_weights'];
+    const weight = Math.max(0, Number($(`#live2d_idle_scheduler_weight_${index}`).val()) || 0);
+
+    if (weight == 0)
+        delete weights[group];
+    else
+        weights[group] = weight;
+    saveSettingsDebounced();
+
+    console.debug(DEBUG_PREFIX,'Updated idle weight of',group,':',weight);
+}
+
+async function onClassifyLabelsChange() {
+    const character = String($('#live2d_character_select').val());
+    const model_path = String($('#live2d_model_select').val());
+    const labels = parseClassifyLabels(String($('#live2d_classify_labels').val()));
+
+    if (labels.length == 0) {
+        console.debug(DEBUG_PREFIX,'Empty emotion label set ignored, at least one label is needed');
+        $('#live2d_classify_labels').val(extension_settings.live2d.characterModelsSettings[character][model_path]['classify_labels'].join(', '));
+        return;
+    }
+
+    extension_settings.live2d.characterModelsSettings[character][model_path]['classify_labels'] = labels;
+    addClassifyMappings(character, model_path, labels);
+    saveSettingsDebounced();
+    console.debug(DEBUG_PREFIX,'Updated emotion labels of',character,':',labels);
+
+    await loadModelUi();
+}
+
+async function onClassifyLabelsResetClick() {
+    $('#live2d_classify_labels').val(CLASSIFY_EXPRESSIONS.join(', '));
+    await onClassifyLabelsChange();
+}
+
+// Valence and arousal of a label for the model, both empty takes the label out of the mood
+async function updateMoodCoordinates(expression) {
+    const character = String($('#live2d_character_select').val());
+    const model = String($('#live2d_model_select').val());
+    const valence = String($(`#live2d_mood_valence_${expression}`).val());
+    const arousal = String($(`#live2d_mood_arousal_${expression}`).val());
+    const mood_coordinates = extension_settings.live2d.characterModelsSettings[character][model]['mood_coordinates'];
+
+    if (valence == '' && arousal == '')
+        mood_coordinates[expression] = null;
+    else
+        mood_coordinates[expression] = {
+            'valence': Math.max(-1, Math.min(1, Number(valence))),
+            'arousal': Math.max(-1, Math.min(1, Number(arousal))),
+        };
+    saveSettingsDebounced();
+
+    console.debug(DEBUG_PREFIX, 'Updated mood coordinates:', expression, mood_coordinates[expression]);
+}
+
+async function updateDecayStep(expression) {
+    const character = String($('#live2d_character_select').val());
+    const model = String($('#live2d_model_select').val());
+    const next = String($(`#live2d_decay_select_${expression}`).val());
+    const steps = extension_settings.live2d.characterModelsSettings[character][model]['expression_decay']['steps'];
+
+    if (next == 'rest')
+        delete steps[expression];
+    else
+        steps[expression] = next;
+    saveSettingsDebounced();
+
+    console.debug(DEBUG_PREFIX, 'Updated decay step:', expression, '->', next);
+}
+
+function updateCharactersList() {
+    let current_characters = new Set();
+    const context = getContext();
+    for (const i of context.characters) {
+        current_characters.add(i.name);
+    }
+
+    current_characters = Array.from(current_characters);
+
+    if (current_characters.length == 0)
+        return;
+
+    if (!extension_settings.live2d.showAllCharacters) {
+        let chat_members = currentChatMembers();
+        console.debug(DEBUG_PREFIX, 'Chat members', chat_members);
+
+        // Sort group character on top
+        for (const i of chat_members) {
+            let index = current_characters.indexOf(i);
+            if (index != -1) {
+                console.debug(DEBUG_PREFIX, 'Moving to top', i);
+                current_characters.splice(index, 1);
+            }
+        }
+
+        current_characters = chat_members;
+    }
+
+    if (JSON.stringify(characters_list) !== JSON.stringify(current_characters)) {
+        characters_list = current_characters;
+
+        $('#live2d_character_select')
+            .find('option')
+            .remove()
+            .end()
+            .append('<option value="none">Select Character</option>')
+            .val('none');
+
+        for (const charName of characters_list) {
+            $('#live2d_character_select').append(new Option(charName, charName));
+        }
 
         console.debug(DEBUG_PREFIX, 'Updated character list to:', characters_list);
     }
@@ -893,10 +2414,7 @@ async function playStarterAnimation() {
         const starter_animation = extension_settings.live2d.characterModelsSettings[character][model_path]['animation_starter'];
         console.debug(DEBUG_PREFIX,'Playing starter animation of',character);
 
-        if (starter_animation.motion != 'none')
-            await playMotion(character, starter_animation.motion);
-        if (starter_animation.expression != 'none')
-            await playExpression(character,starter_animation.expression);
+        playAnimation(character, starter_animation.expression, starter_animation.motion, ANIMATION_PRIORITY.classified, false, starter_animation.motion_options);
     }
 
     console.debug(DEBUG_PREFIX,'Waiting for max starter delay:',starting_delay);
@@ -905,6 +2423,190 @@ async function playStarterAnimation() {
     setVisible();
 }
 
+// Auto animation profile: the sliders show the values the selected model runs with and edit its own values,
+// else its preset, else the global values
+function loadAutoAnimationProfileUi(character, model_path) {
+    const profile = extension_settings.live2d.characterModelsSettings[character][model_path]['auto_animation_profile'];
+    const presets = extension_settings.live2d.autoAnimationPresets;
+
+    $('#live2d_auto_animation_preset_select')
+        .find('option')
+        .remove()
+        .end()
+        .append('<option value="">No preset</option>');
+    for (const name of Object.keys(presets))
+        $('#live2d_auto_animation_preset_select').append(new Option(name, name));
+    $('#live2d_auto_animation_preset_select').val(presets[profile['preset']] !== undefined ? profile['preset'] : '');
+    $('#live2d_auto_animation_preset_name').val(profile['preset']);
+    $('#live2d_auto_animation_own_values').prop('checked', profile['own_values']);
+
+    loadAutoAnimationSettingsUi(getAutoAnimationSettings(character, model_path));
+}
+
+/**
+ * Shows auto animation values on the auto animation sliders.
+ * @param {object} values Values by setting name, see AUTO_ANIMATION_SETTINGS.
+ */
+function loadAutoAnimationSettingsUi(values) {
+    $('#live2d_auto_eye_center_weight').val(Math.round(values.autoEyeCenterWeight * 100));
+    $('#live2d_auto_eye_center_weight_value').text(Math.round(values.autoEyeCenterWeight * 100));
+    $('#live2d_auto_eye_amplitude_center').val(values.autoEyeAmplitudeCenter);
+    $('#live2d_auto_eye_amplitude_center_value').text(values.autoEyeAmplitudeCenter);
+    $('#live2d_auto_eye_amplitude_peripheral').val(values.autoEyeAmplitudePeripheral);
+    $('#live2d_auto_eye_amplitude_peripheral_value').text(values.autoEyeAmplitudePeripheral);
+    $('#live2d_auto_eye_fixation_min').val(values.autoEyeFixationMin);
+    $('#live2d_auto_eye_fixation_min_value').text(values.autoEyeFixationMin);
+    $('#live2d_auto_eye_fixation_max').val(values.autoEyeFixationMax);
+    $('#live2d_auto_eye_fixation_max_value').text(values.autoEyeFixationMax);
+    $('#live2d_auto_breath_amplitude').val(values.autoBreathAmplitude);
+    $('#live2d_auto_breath_amplitude_value').text(values.autoBreathAmplitude);
+    $('#live2d_auto_breath_speed').val(values.autoBreathSpeed);
+    $('#live2d_auto_breath_speed_value').text(values.autoBreathSpeed);
+
+    // Microsaccades settings
+    $('#live2d_microsaccades_enabled').prop('checked', values.microsaccadesEnabled);
+    $('#live2d_microsaccade_amplitude').val(values.microsaccadeAmplitude);
+    $('#live2d_microsaccade_amplitude_value').text(values.microsaccadeAmplitude.toFixed(3));
+    $('#live2d_microsaccade_frequency').val(values.microsaccadeFrequency);
+    $('#live2d_microsaccade_frequency_value').text(values.microsaccadeFrequency);
+    $('#live2d_microsaccade_duration').val(values.microsaccadeDuration);
+    $('#live2d_microsaccade_duration_value').text(values.microsaccadeDuration);
+    $('#live2d_microsaccade_interval_min').val(values.microsaccadeIntervalMin);
+    $('#live2d_microsaccade_interval_min_value').text(values.microsaccadeIntervalMin);
+    $('#live2d_microsaccade_interval_max').val(values.microsaccadeIntervalMax);
+    $('#live2d_microsaccade_interval_max_value').text(values.microsaccadeIntervalMax);
+
+    // Auto blink settings
+    $('#live2d_auto_blink_enabled').prop('checked', values.autoBlinkEnabled);
+    $('#live2d_auto_blink_rate').val(values.autoBlinkRate);
+    $('#live2d_auto_blink_rate_value').text(values.autoBlinkRate);
+    $('#live2d_auto_blink_double_chance').val(values.autoBlinkDoubleChance);
+    $('#live2d_auto_blink_double_chance_value').text(Math.round(values.autoBlinkDoubleChance * 100));
+    $('#live2d_auto_blink_close_ms').val(values.autoBlinkCloseMs);
+    $('#live2d_auto_blink_close_ms_value').text(values.autoBlinkCloseMs);
+    $('#live2d_auto_blink_open_ms').val(values.autoBlinkOpenMs);
+    $('#live2d_auto_blink_open_ms_value').text(values.autoBlinkOpenMs);
+    $('#live2d_auto_blink_close_curve').val(values.autoBlinkCloseCurve);
+    $('#live2d_auto_blink_open_curve').val(values.autoBlinkOpenCurve);
+    $('#live2d_auto_blink_talking_multiplier').val(values.autoBlinkTalkingMultiplier);
+    $('#live2d_auto_blink_talking_multiplier_value').text(values.autoBlinkTalkingMultiplier);
+    $('#live2d_auto_blink_on_gaze_shift').prop('checked', values.autoBlinkOnGazeShift);
+
+    // Body movement settings
+    $('#live2d_body_movement_enabled').prop('checked', values.bodyMovementEnabled);
+    $('#live2d_body_movement_idle_intensity').val(values.bodyMovementIdleIntensity);
+    $('#live2d_body_movement_idle_intensity_value').text(values.bodyMovementIdleIntensity.toFixed(2));
+    $('#live2d_body_movement_talking_intensity').val(values.bodyMovementTalkingIntensity);
+    $('#live2d_body_movement_talking_intensity_value').text(values.bodyMovementTalkingIntensity.toFixed(2));
+    $('#live2d_body_movement_impulse_chance').val(values.bodyMovementImpulseChance);
+    $('#live2d_body_movement_impulse_chance_value').text(values.bodyMovementImpulseChance.toFixed(1));
+    $('#live2d_body_movement_smoothness').val(values.bodyMovementSmoothness);
+    $('#live2d_body_movement_smoothness_value').text(values.bodyMovementSmoothness.toFixed(2));
+}
+
+// Values the sliders edit: the own values of the selected model, else its preset, else the global values
+function getEditedAutoAnimationValues() {
+    const character = String($('#live2d_character_select').val());
+    const model_path = String($('#live2d_model_select').val());
+    const profile = extension_settings.live2d.characterModelsSettings[character]?.[model_path]?.['auto_animation_profile'];
+
+    if (profile?.['own_values'])
+        return profile['values'];
+    return extension_settings.live2d.autoAnimationPresets[profile?.['preset']] ?? extension_settings.live2d;
+}
+
+function setAutoAnimationValue(key, value) {
+    getEditedAutoAnimationValues()[key] = value;
+}
+
+// Value the selected model runs with after the edit
+function getEditedAutoAnimationValue(key) {
+    const character = String($('#live2d_character_select').val());
+    const model_path = String($('#live2d_model_select').val());
+    if (extension_settings.live2d.characterModelsSettings[character]?.[model_path] === undefined)
+        return extension_settings.live2d[key];
+    return getAutoAnimationSetting(character, key, model_path);
+}
+
+// Profile changes replace many values at once, the running animations of the model restart with them
+async function restartProfileAnimations(character, model_path) {
+    if (extension_settings.live2d.characterModelMapping[character] != model_path)
+        return;
+
+    const { restartAutoAnimations, charactersWithModelLoaded } = await import('./live2d.js');
+    if (charactersWithModelLoaded().includes(character))
+        await restartAutoAnimations(character);
+}
+
+async function onAutoAnimationPresetChange() {
+    const character = String($('#live2d_character_select').val());
+    const model_path = String($('#live2d_model_select').val());
+    const profile = extension_settings.live2d.characterModelsSettings[character][model_path]['auto_animation_profile'];
+
+    profile['preset'] = String($('#live2d_auto_animation_preset_select').val());
+    saveSettingsDebounced();
+
+    console.debug(DEBUG_PREFIX,'Auto animation preset of',character,'/',model_path,'is now',profile['preset']);
+    loadAutoAnimationProfileUi(character, model_path);
+    await restartProfileAnimations(character, model_path);
+}
+
+async function onAutoAnimationOwnValuesClick() {
+    const character = String($('#live2d_character_select').val());
+    const model_path = String($('#live2d_model_select').val());
+    const profile = extension_settings.live2d.characterModelsSettings[character][model_path]['auto_animation_profile'];
+
+    // Values edited before are kept when unchecked, they are used again once checked
+    profile['own_values'] = $('#live2d_auto_animation_own_values').is(':checked');
+    saveSettingsDebounced();
+
+    loadAutoAnimationProfileUi(character, model_path);
+    await restartProfileAnimations(character, model_path);
+}
+
+// Saves the current auto animation values of the model as a preset, the model then uses it
+async function onAutoAnimationPresetSaveClick() {
+    const character = String($('#live2d_character_select').val());
+    const model_path = String($('#live2d_model_select').val());
+    const profile = extension_settings.live2d.characterModelsSettings[character][model_path]['auto_animation_profile'];
+    const name = String($('#live2d_auto_animation_preset_name').val()).trim();
+
+    if (name == '') {
+        console.debug(DEBUG_PREFIX,'Auto animation preset needs a name');
+        return;
+    }
+
+    extension_settings.live2d.autoAnimationPresets[name] = getAutoAnimationSettings(character, model_path);
+    profile['preset'] = name;
+    profile['values'] = {};
+    saveSettingsDebounced();
+
+    console.debug(DEBUG_PREFIX,'Saved auto animation preset',name,':',extension_settings.live2d.autoAnimationPresets[name]);
+    loadAutoAnimationProfileUi(character, model_path);
+    await restartProfileAnimations(character, model_path);
+}
+
+// Models using the deleted preset go back to the global values
+async function onAutoAnimationPresetDeleteClick() {
+    const character = String($('#live2d_character_select').val());
+    const model_path = String($('#live2d_model_select').val());
+    const name = String($('#live2d_auto_animation_preset_select').val());
+
+    if (name == '')
+        return;
+
+    delete extension_settings.live2d.autoAnimationPresets[name];
+    for (const models_settings of Object.values(extension_settings.live2d.characterModelsSettings))
+        for (const model_settings of Object.values(models_settings))
+            if (model_settings['auto_animation_profile']?.['preset'] == name)
+                model_settings['auto_animation_profile']['preset'] = '';
+    saveSettingsDebounced();
+
+    console.debug(DEBUG_PREFIX,'Deleted auto animation preset',name);
+    loadAutoAnimationProfileUi(character, model_path);
+    await restartProfileAnimations(character, model_path);
+}
+
 // Auto animations event handlers
 async function onAutoAnimationsEnabledClick() {
     extension_settings.live2d.autoAnimationsEnabled = $('#live2d_auto_animations_enabled').is(':checked');
@@ -913,82 +2615,113 @@ async function onAutoAnimationsEnabledClick() {
 }
 
 async function onAutoEyeCenterWeightChange() {
-    extension_settings.live2d.autoEyeCenterWeight = Number($('#live2d_auto_eye_center_weight').val()) / 100;
-    $('#live2d_auto_eye_center_weight_value').text(Math.round(extension_settings.live2d.autoEyeCenterWeight * 100));
+    setAutoAnimationValue('autoEyeCenterWeight', Number($('#live2d_auto_eye_center_weight').val()) / 100);
+    $('#live2d_auto_eye_center_weight_value').text(Math.round(getEditedAutoAnimationValue('autoEyeCenterWeight') * 100));
     saveSettingsDebounced();
 }
 
 async function onAutoEyeAmplitudeCenterChange() {
-    extension_settings.live2d.autoEyeAmplitudeCenter = Number($('#live2d_auto_eye_amplitude_center').val());
-    $('#live2d_auto_eye_amplitude_center_value').text(extension_settings.live2d.autoEyeAmplitudeCenter);
+    setAutoAnimationValue('autoEyeAmplitudeCenter', Number($('#live2d_auto_eye_amplitude_center').val()));
+    $('#live2d_auto_eye_amplitude_center_value').text(getEditedAutoAnimationValue('autoEyeAmplitudeCenter'));
     saveSettingsDebounced();
 }
 
 async function onAutoEyeAmplitudePeripheralChange() {
-    extension_settings.live2d.autoEyeAmplitudePeripheral = Number($('#live2d_auto_eye_amplitude_peripheral').val());
-    $('#live2d_auto_eye_amplitude_peripheral_value').text(extension_settings.live2d.autoEyeAmplitudePeripheral);
+    setAutoAnimationValue('autoEyeAmplitudePeripheral', Number($('#live2d_auto_eye_amplitude_peripheral').val()));
+    $('#live2d_auto_eye_amplitude_peripheral_value').text(getEditedAutoAnimationValue('autoEyeAmplitudePeripheral'));
     saveSettingsDebounced();
 }
 
 async function onAutoEyeFixationMinChange() {
-    extension_settings.live2d.autoEyeFixationMin = Number($('#live2d_auto_eye_fixation_min').val());
-    $('#live2d_auto_eye_fixation_min_value').text(extension_settings.live2d.autoEyeFixationMin);
+    setAutoAnimationValue('autoEyeFixationMin', Number($('#live2d_auto_eye_fixation_min').val()));
+    $('#live2d_auto_eye_fixation_min_value').text(getEditedAutoAnimationValue('autoEyeFixationMin'));
     saveSettingsDebounced();
 }
 
 async function onAutoEyeFixationMaxChange() {
-    extension_settings.live2d.autoEyeFixationMax = Number($('#live2d_auto_eye_fixation_max').val());
-    $('#live2d_auto_eye_fixation_max_value').text(extension_settings.live2d.autoEyeFixationMax);
+    setAutoAnimationValue('autoEyeFixationMax', Number($('#live2d_auto_eye_fixation_max').val()));
+    $('#live2d_auto_eye_fixation_max_value').text(getEditedAutoAnimationValue('autoEyeFixationMax'));
     saveSettingsDebounced();
 }
 
 
 async function onAutoBreathAmplitudeChange() {
-    extension_settings.live2d.autoBreathAmplitude = Number($('#live2d_auto_breath_amplitude').val());
-    $('#live2d_auto_breath_amplitude_value').text(extension_settings.live2d.autoBreathAmplitude);
+    setAutoAnimationValue('autoBreathAmplitude', Number($('#live2d_auto_breath_amplitude').val()));
+    $('#live2d_auto_breath_amplitude_value').text(getEditedAutoAnimationValue('autoBreathAmplitude'));
     saveSettingsDebounced();
 }
 
 async function onAutoBreathSpeedChange() {
-    extension_settings.live2d.autoBreathSpeed = Number($('#live2d_auto_breath_speed').val());
-    $('#live2d_auto_breath_speed_value').text(extension_settings.live2d.autoBreathSpeed);
+    setAutoAnimationValue('autoBreathSpeed', Number($('#live2d_auto_breath_speed').val()));
+    $('#live2d_auto_breath_speed_value').text(getEditedAutoAnimationValue('autoBreathSpeed'));
     saveSettingsDebounced();
 }
 
 // Microsaccades event handlers
 async function onMicrosaccadesEnabledClick() {
-    extension_settings.live2d.microsaccadesEnabled = $('#live2d_microsaccades_enabled').is(':checked');
+    setAutoAnimationValue('microsaccadesEnabled', $('#live2d_microsaccades_enabled').is(':checked'));
     saveSettingsDebounced();
     // Note: Use "Restart Animations" button to apply changes
 }
 
 async function onMicrosaccadeAmplitudeChange() {
-    extension_settings.live2d.microsaccadeAmplitude = Number($('#live2d_microsaccade_amplitude').val());
-    $('#live2d_microsaccade_amplitude_value').text(extension_settings.live2d.microsaccadeAmplitude.toFixed(3));
+    setAutoAnimationValue('microsaccadeAmplitude', Number($('#live2d_microsaccade_amplitude').val()));
+    $('#live2d_microsaccade_amplitude_value').text(getEditedAutoAnimationValue('microsaccadeAmplitude').toFixed(3));
     saveSettingsDebounced();
 }
 
 async function onMicrosaccadeFrequencyChange() {
-    extension_settings.live2d.microsaccadeFrequency = Number($('#live2d_microsaccade_frequency').val());
-    $('#live2d_microsaccade_frequency_value').text(extension_settings.live2d.microsaccadeFrequency);
+    setAutoAnimationValue('microsaccadeFrequency', Number($('#live2d_microsaccade_frequency').val()));
+    $('#live2d_microsaccade_frequency_value').text(getEditedAutoAnimationValue('microsaccadeFrequency'));
     saveSettingsDebounced();
 }
 
 async function onMicrosaccadeDurationChange() {
-    extension_settings.live2d.microsaccadeDuration = Number($('#live2d_microsaccade_duration').val());
-    $('#live2d_microsaccade_duration_value').text(extension_settings.live2d.microsaccadeDuration);
+    setAutoAnimationValue('microsaccadeDuration', Number($('#live2d_microsaccade_duration').val()));
+    $('#live2d_microsaccade_duration_value').text(getEditedAutoAnimationValue('microsaccadeDuration'));
     saveSettingsDebounced();
 }
 
 async function onMicrosaccadeIntervalMinChange() {
-    extension_settings.live2d.microsaccadeIntervalMin = Number($('#live2d_microsaccade_interval_min').val());
-    $('#live2d_microsaccade_interval_min_value').text(extension_settings.live2d.microsaccadeIntervalMin);
+    setAutoAnimationValue('microsaccadeIntervalMin', Number($('#live2d_microsaccade_interval_min').val()));
+    $('#live2d_microsaccade_interval_min_value').text(getEditedAutoAnimationValue('microsaccadeIntervalMin'));
     saveSettingsDebounced();
 }
 
 async function onMicrosaccadeIntervalMaxChange() {
-    extension_settings.live2d.microsaccadeIntervalMax = Number($('#live2d_microsaccade_interval_max').val());
-    $('#live2d_microsaccade_interval_max_value').text(extension_settings.live2d.microsaccadeIntervalMax);
+    setAutoAnimationValue('microsaccadeIntervalMax', Number($('#live2d_microsaccade_interval_max').val()));
+    $('#live2d_microsaccade_interval_max_value').text(getEditedAutoAnimationValue('microsaccadeIntervalMax'));
+    saveSettingsDebounced();
+}
+
+// Auto blink event handlers
+async function onAutoBlinkEnabledClick() {
+    setAutoAnimationValue('autoBlinkEnabled', $('#live2d_auto_blink_enabled').is(':checked'));
+    saveSettingsDebounced();
+
+    // Blinking stops by itself once disabled
+    if (getEditedAutoAnimationValue('autoBlinkEnabled')) {
+        const { startAutoAnimations, charactersWithModelLoaded } = await import('./live2d.js');
+        for (const character of charactersWithModelLoaded())
+            await startAutoAnimations(character);
+    }
+}
+
+async function onAutoBlinkChange() {
+    setAutoAnimationValue('autoBlinkRate', Number($('#live2d_auto_blink_rate').val()));
+    setAutoAnimationValue('autoBlinkDoubleChance', Number($('#live2d_auto_blink_double_chance').val()));
+    setAutoAnimationValue('autoBlinkCloseMs', Number($('#live2d_auto_blink_close_ms').val()));
+    setAutoAnimationValue('autoBlinkOpenMs', Number($('#live2d_auto_blink_open_ms').val()));
+    setAutoAnimationValue('autoBlinkCloseCurve', $('#live2d_auto_blink_close_curve').val());
+    setAutoAnimationValue('autoBlinkOpenCurve', $('#live2d_auto_blink_open_curve').val());
+    setAutoAnimationValue('autoBlinkTalkingMultiplier', Number($('#live2d_auto_blink_talking_multiplier').val()));
+    setAutoAnimationValue('autoBlinkOnGazeShift', $('#live2d_auto_blink_on_gaze_shift').is(':checked'));
+
+    $('#live2d_auto_blink_rate_value').text(getEditedAutoAnimationValue('autoBlinkRate'));
+    $('#live2d_auto_blink_double_chance_value').text(Math.round(getEditedAutoAnimationValue('autoBlinkDoubleChance') * 100));
+    $('#live2d_auto_blink_close_ms_value').text(getEditedAutoAnimationValue('autoBlinkCloseMs'));
+    $('#live2d_auto_blink_open_ms_value').text(getEditedAutoAnimationValue('autoBlinkOpenMs'));
+    $('#live2d_auto_blink_talking_multiplier_value').text(getEditedAutoAnimationValue('autoBlinkTalkingMultiplier'));
     saveSettingsDebounced();
 }
 
@@ -1155,35 +2888,35 @@ async function onMouthLinkedParam3Change() {
 
 // Body movement system event handlers
 async function onBodyMovementEnabledClick() {
-    extension_settings.live2d.bodyMovementEnabled = $('#live2d_body_movement_enabled').is(':checked');
+    setAutoAnimationValue('bodyMovementEnabled', $('#live2d_body_movement_enabled').is(':checked'));
     saveSettingsDebounced();
-    console.debug(DEBUG_PREFIX, 'Body movement enabled:', extension_settings.live2d.bodyMovementEnabled);
+    console.debug(DEBUG_PREFIX, 'Body movement enabled:', getEditedAutoAnimationValue('bodyMovementEnabled'));
 }
 
 async function onBodyMovementIdleIntensityChange() {
-    extension_settings.live2d.bodyMovementIdleIntensity = parseFloat($('#live2d_body_movement_idle_intensity').val());
-    $('#live2d_body_movement_idle_intensity_value').text(extension_settings.live2d.bodyMovementIdleIntensity.toFixed(2));
+    setAutoAnimationValue('bodyMovementIdleIntensity', parseFloat($('#live2d_body_movement_idle_intensity').val()));
+    $('#live2d_body_movement_idle_intensity_value').text(getEditedAutoAnimationValue('bodyMovementIdleIntensity').toFixed(2));
     saveSettingsDebounced();
-    console.debug(DEBUG_PREFIX, 'Body movement idle intensity:', extension_settings.live2d.bodyMovementIdleIntensity);
+    console.debug(DEBUG_PREFIX, 'Body movement idle intensity:', getEditedAutoAnimationValue('bodyMovementIdleIntensity'));
 }
 
 async function onBodyMovementTalkingIntensityChange() {
-    extension_settings.live2d.bodyMovementTalkingIntensity = parseFloat($('#live2d_body_movement_talking_intensity').val());
-    $('#live2d_body_movement_talking_intensity_value').text(extension_settings.live2d.bodyMovementTalkingIntensity.toFixed(2));
+    setAutoAnimationValue('bodyMovementTalkingIntensity', parseFloat($('#live2d_body_movement_talking_intensity').val()));
+    $('#live2d_body_movement_talking_intensity_value').text(getEditedAutoAnimationValue('bodyMovementTalkingIntensity').toFixed(2));
     saveSettingsDebounced();
-    console.debug(DEBUG_PREFIX, 'Body movement talking intensity:', extension_settings.live2d.bodyMovementTalkingIntensity);
+    console.debug(DEBUG_PREFIX, 'Body movement talking intensity:', getEditedAutoAnimationValue('bodyMovementTalkingIntensity'));
 }
 
 async function onBodyMovementImpulseChanceChange() {
-    extension_settings.live2d.bodyMovementImpulseChance = parseFloat($('#live2d_body_movement_impulse_chance').val());
-    $('#live2d_body_movement_impulse_chance_value').text(extension_settings.live2d.bodyMovementImpulseChance.toFixed(1));
+    setAutoAnimationValue('bodyMovementImpulseChance', parseFloat($('#live2d_body_movement_impulse_chance').val()));
+    $('#live2d_body_movement_impulse_chance_value').text(getEditedAutoAnimationValue('bodyMovementImpulseChance').toFixed(1));
     saveSettingsDebounced();
-    console.debug(DEBUG_PREFIX, 'Body movement impulse chance:', extension_settings.live2d.bodyMovementImpulseChance);
+    console.debug(DEBUG_PREFIX, 'Body movement impulse chance:', getEditedAutoAnimationValue('bodyMovementImpulseChance'));
 }
 
 async function onBodyMovementSmoothnessChange() {
-    extension_settings.live2d.bodyMovementSmoothness = parseFloat($('#live2d_body_movement_smoothness').val());
-    $('#live2d_body_movement_smoothness_value').text(extension_settings.live2d.bodyMovementSmoothness.toFixed(2));
+    setAutoAnimationValue('bodyMovementSmoothness', parseFloat($('#live2d_body_movement_smoothness').val()));
+    $('#live2d_body_movement_smoothness_value').text(getEditedAutoAnimationValue('bodyMovementSmoothness').toFixed(2));
     saveSettingsDebounced();
-    console.debug(DEBUG_PREFIX, 'Body movement smoothness:', extension_settings.live2d.bodyMovementSmoothness);
+    console.debug(DEBUG_PREFIX, 'Body movement smoothness:', getEditedAutoAnimationValue('bodyMovementSmoothness'));
 }
@@ -5,13 +5,24 @@ import {
     ID_PARAM_DEFAULT,
     PARAM_MOUTH_OPEN_Y_DEFAULT,
     PARAM_MOUTH_OPEN_Y_PATCH,
+    PARAM_MOUTH_FORM_DEFAULT,
+    PARAM_MOUTH_FORM_PATCH,
     ID_PARAM_PATCH,
+    CLASSIFY_EXPRESSIONS,
+    SEQUENCE_PREFIX,
 } from './constants.js';
 
+import {
+    getExpressionList,
+} from './expressions.js';
+
 export {
     currentChatMembers,
     loadModelParamUi,
     loadAnimationUi,
+    getExpressionSelectValue,
+    getClassifyLabels,
+    parseClassifyLabels,
 };
 
 function currentChatMembers() {
@@ -50,24 +61,31 @@ function loadModelParamUi(character, model_path, model_parameter_ids, param_sele
         $(`#${param_select_id}`).append(new Option(i, i));
     }
 
-    // Mouth parameter
-    if (param_id == 'ParamMouthOpenY') {
-        // Default mouth open Y parameter detection
-        if (force || (!user_settings_exists && extension_settings.live2d.characterModelsSettings[character][model_path]['param_mouth_open_y_id'] == 'none') ) {
+    // Mouth parameters
+    const mouth_params = {
+        'ParamMouthOpenY': { 'setting': 'param_mouth_open_y_id', 'default': PARAM_MOUTH_OPEN_Y_DEFAULT, 'patch': PARAM_MOUTH_OPEN_Y_PATCH },
+        'ParamMouthForm': { 'setting': 'param_mouth_form_id', 'default': PARAM_MOUTH_FORM_DEFAULT, 'patch': PARAM_MOUTH_FORM_PATCH },
+    };
+
+    if (mouth_params[param_id] !== undefined) {
+        const setting = mouth_params[param_id]['setting'];
+        // Default mouth parameter detection
+        if (force || (!user_settings_exists && extension_settings.live2d.characterModelsSettings[character][model_path][setting] == 'none') ) {
             console.debug(DEBUG_PREFIX,'Searching for parameter', param_id);
             let found = false;
-            if (model_parameter_ids.includes(PARAM_MOUTH_OPEN_Y_DEFAULT)) {
-                console.debug(DEBUG_PREFIX,'Found default parameter',PARAM_MOUTH_OPEN_Y_DEFAULT);
-                extension_settings.live2d.characterModelsSettings[character][model_path]['param_mouth_open_y_id'] = PARAM_MOUTH_OPEN_Y_DEFAULT;
+            if (model_parameter_ids.includes(mouth_params[param_id]['default'])) {
+                console.debug(DEBUG_PREFIX,'Found default parameter',mouth_params[param_id]['default']);
+                extension_settings.live2d.characterModelsSettings[character][model_path][setting] = mouth_params[param_id]['default'];
                 saveSettingsDebounced();
+                found = true;
             }
 
             // Try known alternatives
             if (!found) {
-                for (const value of PARAM_MOUTH_OPEN_Y_PATCH) {
+                for (const value of mouth_params[param_id]['patch']) {
                     if (model_parameter_ids.includes(value)) {
                         console.debug(DEBUG_PREFIX,'Found alternative parameter', value);
-                        extension_settings.live2d.characterModelsSettings[character][model_path]['param_mouth_open_y_id'] = value;
+                        extension_settings.live2d.characterModelsSettings[character][model_path][setting] = value;
                         saveSettingsDebounced();
                         found = true;
                         break;
@@ -76,12 +94,12 @@ function loadModelParamUi(character, model_path, model_parameter_ids, param_sele
             }
 
             if (!found) {
-                console.log(DEBUG_PREFIX,'None of the known parameter value are present in the model:',PARAM_MOUTH_OPEN_Y_PATCH);
+                console.log(DEBUG_PREFIX,'None of the known parameter value are present in the model:',mouth_params[param_id]['patch']);
                 console.log(DEBUG_PREFIX,'Set it manually via the UI.');
             }
         }
 
-        $(`#${param_select_id}`).val(extension_settings.live2d.characterModelsSettings[character][model_path]['param_mouth_open_y_id']);
+        $(`#${param_select_id}`).val(extension_settings.live2d.characterModelsSettings[character][model_path][setting]);
         return;
     }
 
@@ -120,12 +138,16 @@ function loadModelParamUi(character, model_path, model_parameter_ids, param_sele
     $(`#${param_select_id}`).val(extension_settings.live2d.characterModelsSettings[character][model_path]['cursor_param'][param_id]);
 }
 
-function loadAnimationUi(model_expressions, model_motions, expression_select_id, motion_select_id, expression_select_value, motion_select_value) {
+function loadAnimationUi(model_expressions, model_motions, expression_select_id, motion_select_id, expression_select_value, motion_select_value, model_sequences = []) {
+    // Multiple selects take a list of expressions played as layers, no selection means none
+    const layered = $(`#${expression_select_id}`).prop('multiple');
+
     $(`#${expression_select_id}`)
         .find('option')
-        .remove()
-        .end()
-        .append('<option value="none">Select expression</option>');
+        .remove();
+
+    if (!layered)
+        $(`#${expression_select_id}`).append('<option value="none">Select expression</option>');
 
     $(`#${motion_select_id}`)
         .find('option')
@@ -152,6 +174,42 @@ function loadAnimationUi(model_expressions, model_motions, expression_select_id,
         }
     }
 
-    $(`#${expression_select_id}`).val(expression_select_value);
+    // Sequences are played wherever a motion is
+    for (const sequence of model_sequences) {
+        $(`#${motion_select_id}`).append(new Option(sequence + ' (sequence)', SEQUENCE_PREFIX + sequence));
+    }
+
+    $(`#${expression_select_id}`).val(layered ? getExpressionList(expression_select_value) : expression_select_value);
     $(`#${motion_select_id}`).val(motion_select_value);
 }
+
+// Mapping value of an expression select: 'none', an expression name or a list of expressions for several selected
+function getExpressionSelectValue(expression_select_id) {
+    const expressions = getExpressionList($(`#${expression_select_id}`).val() ?? 'none');
+
+    if (expressions.length == 0)
+        return 'none';
+    if (expressions.length == 1)
+        return expressions[0];
+    return expressions;
+}
+
+// Emotion labels of a model, the classifier default labels for models configured before label sets existed
+function getClassifyLabels(character, model_path) {
+    return extension_settings.live2d.characterModelsSettings[character]?.[model_path]?.['classify_labels'] ?? CLASSIFY_EXPRESSIONS;
+}
+
+/**
+ * Parses a comma or line separated list of emotion labels.
+ * Labels are lower cased, spaces become underscores and other symbols are removed so they can be used in element ids.
+ * @param {string} text Labels typed by the user.
+ * @returns {string[]} Unique labels in the typed order.
+ */
+function parseClassifyLabels(text) {
+    const labels = text
+        .split(/[,\n]/)
+        .map(label => label.trim().toLowerCase().replace(/\s+/g, '_').replace(/[^\p{L}\p{N}_-]/gu, ''))
+        .filter(label => label.length > 0);
+
+    return [...new Set(labels)];
+}
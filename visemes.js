@@ -0,0 +1,121 @@
+/**
+ * Viseme timeline for the Live2D talk animation
+ * Turns message text into a sequence of mouth shapes (A/I/U/E/O/closed)
+ * timed with the model time per character, with pauses at punctuation.
+ */
+
+export {
+    VISEMES,
+    textToVisemes,
+    getTimelineDuration,
+    getVisemeAt,
+};
+
+const VISEMES = ['A', 'I', 'U', 'E', 'O', 'closed'];
+
+// Vowels of latin and cyrillic alphabets
+const VOWEL_VISEMES = {
+    'a': 'A', 'á': 'A', 'à': 'A', 'â': 'A', 'ä': 'A', 'а': 'A', 'я': 'A',
+    'i': 'I', 'í': 'I', 'î': 'I', 'ï': 'I', 'y': 'I', 'и': 'I', 'ы': 'I', 'й': 'I',
+    'u': 'U', 'ú': 'U', 'ù': 'U', 'û': 'U', 'ü': 'U', 'w': 'U', 'у': 'U', 'ю': 'U',
+    'e': 'E', 'é': 'E', 'è': 'E', 'ê': 'E', 'ë': 'E', 'е': 'E', 'э': 'E', 'ё': 'E',
+    'o': 'O', 'ó': 'O', 'ò': 'O', 'ô': 'O', 'ö': 'O', 'о': 'O',
+};
+
+// Consonants pronounced with closed lips
+const CLOSED_CONSONANTS = ['m', 'b', 'p', 'м', 'б', 'п'];
+
+// Pause length in number of characters
+const PAUSES = {
+    ',': 3, ';': 3, ':': 3,
+    '.': 6, '!': 6, '?': 6, '…': 6,
+    '\n': 6,
+};
+
+// Not spoken, take no time
+const SILENT_CHARACTERS = ['*', '"', '“', '”', '«', '»', '_', '~', '`'];
+
+/**
+ * Converts a text into a viseme timeline.
+ * @param {string} text Text spoken by the character.
+ * @param {number} time_per_character Duration of one character in ms.
+ * @returns {{viseme: string, start: number, duration: number, index: number}[]} Viseme entries, index is the position in the text.
+ */
+function textToVisemes(text, time_per_character) {
+    const timeline = [];
+    let time = 0;
+
+    const push = (viseme, duration, index) => {
+        const last = timeline[timeline.length - 1];
+        if (last !== undefined && last.viseme == viseme) {
+            last.duration += duration;
+        }
+        else {
+            timeline.push({ 'viseme': viseme, 'start': time, 'duration': duration, 'index': index });
+        }
+        time += duration;
+    };
+
+    for (let index = 0; index < text.length; index++) {
+        const character = text[index].toLowerCase();
+
+        if (SILENT_CHARACTERS.includes(character))
+            continue;
+
+        if (PAUSES[character] !== undefined) {
+            push('closed', PAUSES[character] * time_per_character, index);
+            continue;
+        }
+
+        if (VOWEL_VISEMES[character] !== undefined) {
+            push(VOWEL_VISEMES[character], time_per_character, index);
+            continue;
+        }
+
+        if (CLOSED_CONSONANTS.includes(character)) {
+            push('closed', time_per_character, index);
+            continue;
+        }
+
+        // Other consonants, spaces and symbols keep the current mouth shape
+        if (timeline.length == 0)
+            push('A', time_per_character, index);
+        else
+            push(timeline[timeline.length - 1].viseme, time_per_character, index);
+    }
+
+    return timeline;
+}
+
+function getTimelineDuration(timeline) {
+    if (timeline.length == 0)
+        return 0;
+
+    const last = timeline[timeline.length - 1];
+    return last.start + last.duration;
+}
+
+/**
+ * Returns the viseme entry playing at a given time of the timeline.
+ * @param {object[]} timeline Timeline built by textToVisemes.
+ * @param {number} time Time in ms from the start of the timeline.
+ * @returns {object|undefined} Viseme entry or undefined if time is outside the timeline.
+ */
+function getVisemeAt(timeline, time) {
+    let low = 0;
+    let high = timeline.length - 1;
+
+    while (low <= high) {
+        const middle = Math.floor((low + high) / 2);
+        const entry = timeline[middle];
+
+        if (time < entry.start)
+            high = middle - 1;
+        else if (time >= entry.start + entry.duration)
+            low = middle + 1;
+        else
+            return entry;
+    }
+
+    return undefined;
+}